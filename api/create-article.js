@@ -1,7 +1,10 @@
 // api/create-article.js
-const SHOPIFY_API_VERSION = "2024-07";
+import { buildArticleFields, createArticle } from "../lib/articles.js";
+import { withAuth } from "../lib/auth.js";
+import { sendError } from "../lib/errors.js";
+import { getShopifyConfig } from "../lib/shopify.js";
 
-export default async function handler(req, res) {
+async function handler(req, res) {
   if (req.method !== "POST") {
     return res
       .status(405)
@@ -17,6 +20,11 @@ export default async function handler(req, res) {
       author,          // optional author name
       seoTitle,        // optional SEO title
       seoDescription,  // optional SEO description
+      handle,          // optional URL handle
+      image,           // optional { src, alt } or { attachment, filename, alt }
+      summaryHtml,     // optional excerpt shown on the blog page
+      published,       // optional, false saves it hidden
+      publishedAt,     // optional ISO date; a future one schedules it
     } = req.body || {};
 
     if (!blogId || !title || !bodyHtml) {
@@ -26,63 +34,31 @@ export default async function handler(req, res) {
       });
     }
 
-    const storeDomain = process.env.SHOPIFY_STORE_DOMAIN;
-    const adminToken = process.env.SHOPIFY_ADMIN_TOKEN;
+    getShopifyConfig();
 
-    if (!storeDomain || !adminToken) {
-      return res.status(500).json({
-        ok: false,
-        error:
-          "Missing environment variables. Check SHOPIFY_STORE_DOMAIN and SHOPIFY_ADMIN_TOKEN.",
-      });
-    }
-
-    const endpoint = `https://${storeDomain}/admin/api/${SHOPIFY_API_VERSION}/blogs/${blogId}/articles.json`;
-
-    const articlePayload = {
+    const articlePayload = buildArticleFields({
       title,
-      body_html: bodyHtml,
-    };
-
-    if (author) articlePayload.author = author;
-    if (tags && Array.isArray(tags) && tags.length > 0) {
-      articlePayload.tags = tags.join(", ");
-    }
-    if (seoTitle) articlePayload.metafields_global_title_tag = seoTitle;
-    if (seoDescription)
-      articlePayload.metafields_global_description_tag = seoDescription;
-
-    const shopifyRes = await fetch(endpoint, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        "X-Shopify-Access-Token": adminToken,
-      },
-      body: JSON.stringify({ article: articlePayload }),
+      bodyHtml,
+      author: author || undefined,
+      tags: Array.isArray(tags) && tags.length > 0 ? tags : undefined,
+      seoTitle: seoTitle || undefined,
+      seoDescription: seoDescription || undefined,
+      handle,
+      image,
+      summaryHtml,
+      published,
+      publishedAt,
     });
 
-    const data = await shopifyRes.json().catch(() => null);
-
-    if (!shopifyRes.ok) {
-      console.error("Shopify REST create article error:", shopifyRes.status, data);
-      return res.status(500).json({
-        ok: false,
-        error: "Shopify REST create article error",
-        status: shopifyRes.status,
-        details: data,
-      });
-    }
+    const article = await createArticle(blogId, articlePayload);
 
     return res.status(200).json({
       ok: true,
-      article: data.article || null,
+      article,
     });
   } catch (err) {
-    console.error("Unexpected error in /api/create-article:", err);
-    return res.status(500).json({
-      ok: false,
-      error: "Unexpected server error",
-      details: String(err),
-    });
+    return sendError(res, err, "/api/create-article");
   }
 }
+
+export default withAuth("write", handler);
@@ -0,0 +1,34 @@
+// api/delete-article.js
+// POST { articleId }  (DELETE /api/delete-article?articleId=... works too)
+import { deleteArticle } from "../lib/articles.js";
+import { withAuth } from "../lib/auth.js";
+import { sendError } from "../lib/errors.js";
+import { getShopifyConfig } from "../lib/shopify.js";
+
+async function handler(req, res) {
+  if (req.method !== "POST" && req.method !== "DELETE") {
+    return res
+      .status(405)
+      .json({ ok: false, error: "Method not allowed. Use POST or DELETE." });
+  }
+
+  try {
+    const articleId = req.body?.articleId || req.query?.articleId;
+
+    if (!articleId) {
+      return res
+        .status(400)
+        .json({ ok: false, error: "Missing required field: articleId" });
+    }
+
+    getShopifyConfig();
+
+    await deleteArticle(articleId);
+
+    return res.status(200).json({ ok: true, deleted: articleId });
+  } catch (err) {
+    return sendError(res, err, "/api/delete-article");
+  }
+}
+
+export default withAuth("write", handler);
@@ -0,0 +1,74 @@
+// api/draft-article.js
+// Writes a blog article with AI and saves it as an unpublished draft so an
+// editor can review it in the Shopify admin before it goes live.
+//
+// POST { blogId, topic, keywords?: [..] | "a, b", productHandles?: [..], author? }
+import {
+  draftArticle,
+  loadFeaturedProducts,
+  parseFeaturedHandles,
+  parseKeywords,
+} from "../lib/article-draft.js";
+import { buildArticleFields, createArticle } from "../lib/articles.js";
+import { withAuth } from "../lib/auth.js";
+import { sendError } from "../lib/errors.js";
+import { getLlmConfig } from "../lib/llm.js";
+import { getShopifyConfig } from "../lib/shopify.js";
+
+async function handler(req, res) {
+  if (req.method !== "POST") {
+    return res
+      .status(405)
+      .json({ ok: false, error: "Method not allowed. Use POST." });
+  }
+
+  try {
+    const { blogId, topic, keywords, productHandles, author } = req.body || {};
+
+    if (!blogId || !topic) {
+      return res.status(400).json({
+        ok: false,
+        error: "Missing required fields: blogId, topic",
+      });
+    }
+
+    const keywordList = parseKeywords(keywords);
+    const handles = parseFeaturedHandles(productHandles);
+
+    getShopifyConfig();
+    getLlmConfig();
+
+    const products = await loadFeaturedProducts(handles);
+    const { outline, draft, checks } = await draftArticle({
+      topic,
+      keywords: keywordList,
+      products,
+    });
+
+    const articlePayload = buildArticleFields({
+      title: draft.title,
+      bodyHtml: draft.bodyHtml,
+      summaryHtml: draft.summaryHtml || undefined,
+      tags: draft.tags.length > 0 ? draft.tags : undefined,
+      seoTitle: draft.seoTitle || undefined,
+      seoDescription: draft.seoDescription || undefined,
+      author: author || undefined,
+      published: false,
+    });
+
+    const article = await createArticle(blogId, articlePayload);
+
+    return res.status(200).json({
+      ok: true,
+      article,
+      outline,
+      draft,
+      featuredProducts: products.map((p) => p.handle),
+      checks,
+    });
+  } catch (err) {
+    return sendError(res, err, "/api/draft-article");
+  }
+}
+
+export default withAuth(["ai", "write"], handler);
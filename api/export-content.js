@@ -0,0 +1,75 @@
+// api/export-content.js
+// GET /api/export-content?types=products,collections,articles&locales=fr,de
+//                        &format=csv|json
+//
+// One row per item with id, handle, title, SEO title/description and the
+// description HTML, plus "<field>:<locale>" columns with the existing
+// translations. locales defaults to every published locale; locales=none
+// leaves translations out. Edit the file and send it back to import-content.
+import { withAuth } from "../lib/auth.js";
+import {
+  contentColumns,
+  exportContent,
+  parseContentTypes,
+} from "../lib/content-io.js";
+import { sendCsv, toCsv } from "../lib/csv.js";
+import { HttpError, sendError } from "../lib/errors.js";
+import { getShopifyConfig } from "../lib/shopify.js";
+import { checkTargetLocales, getShopLocales } from "../lib/translate.js";
+
+async function handler(req, res) {
+  try {
+    if (req.method !== "GET") {
+      return res
+        .status(405)
+        .json({ ok: false, error: "Method not allowed. Use GET." });
+    }
+
+    const params = req.query || {};
+    const types = parseContentTypes(params.types);
+    const format = params.format || "csv";
+    if (format !== "json" && format !== "csv") {
+      throw new HttpError(400, "'format' must be json or csv");
+    }
+
+    getShopifyConfig();
+
+    let locales = [];
+    if (params.locales !== "none") {
+      const shopLocales = await getShopLocales();
+      locales = params.locales
+        ? [
+            ...new Set(
+              String(params.locales)
+                .split(",")
+                .map((l) => l.trim())
+                .filter(Boolean)
+            ),
+          ]
+        : shopLocales.publishedLocales;
+      checkTargetLocales(locales, shopLocales);
+    }
+
+    const { rows, truncated } = await exportContent({ types, locales });
+    const columns = contentColumns(locales);
+
+    if (format === "csv") {
+      const date = new Date().toISOString().slice(0, 10);
+      return sendCsv(res, `content-${date}.csv`, toCsv(rows, columns));
+    }
+
+    return res.status(200).json({
+      ok: true,
+      types,
+      locales,
+      columns,
+      truncated,
+      count: rows.length,
+      rows,
+    });
+  } catch (err) {
+    return sendError(res, err, "/api/export-content");
+  }
+}
+
+export default withAuth("read", handler);
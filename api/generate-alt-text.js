@@ -0,0 +1,143 @@
+// api/generate-alt-text.js
+// Finds product images with missing or weak alt text and has the model write
+// new alt text from the product data (and, with vision: true, the image).
+//
+// POST { productId | handle, mode?: "preview" | "apply", vision?: false,
+//        locales?: ["fr", "de"], force?: false }
+// POST { all: true, limit?: 1-20, cursor?, ...same options }
+//
+// Weak alt is empty, a file name, generic ("image"), too short / long or just
+// the product title; force: true redoes every image. apply writes the new
+// alt through productUpdateMedia (needs "write") and registers the `locales`
+// versions as translations. Generated alt that fails the same checks is
+// reported as skipped rather than written.
+import {
+  PRODUCT_MEDIA_FIELDS,
+  processProductAltText,
+  productImages,
+} from "../lib/alt-text.js";
+import { requireScopes, withAuth } from "../lib/auth.js";
+import { sendError } from "../lib/errors.js";
+import { getLlmConfig } from "../lib/llm.js";
+import { scanConnection } from "../lib/pagination.js";
+import { getProductContext } from "../lib/products.js";
+import { parseBulkLimit, parseMode } from "../lib/seo.js";
+import { getShopifyConfig, shopifyGraphql } from "../lib/shopify.js";
+import {
+  checkTargetLocales,
+  getShopLocales,
+  parseLocales,
+} from "../lib/translate.js";
+
+const SCAN_QUERY = `
+  query productsForAltText($first: Int!, $after: String) {
+    products(first: $first, after: $after) {
+      pageInfo {
+        hasNextPage
+      }
+      edges {
+        cursor
+        node { ${PRODUCT_MEDIA_FIELDS} }
+      }
+    }
+  }
+`;
+
+async function handler(req, res) {
+  try {
+    if (req.method !== "POST") {
+      return res
+        .status(405)
+        .json({ ok: false, error: "Method not allowed. Use POST." });
+    }
+
+    const {
+      productId,
+      handle,
+      all,
+      limit,
+      cursor,
+      mode,
+      vision = false,
+      locales,
+      force = false,
+    } = req.body || {};
+
+    if (!all && !productId && !handle) {
+      return res.status(400).json({
+        ok: false,
+        error: "Missing 'productId' or 'handle' in body (or use all: true)",
+      });
+    }
+
+    const runMode = parseMode(mode);
+    const productLimit = all ? parseBulkLimit(limit) : null;
+    const targetLocales = locales === undefined ? [] : parseLocales(locales);
+    if (runMode === "apply") requireScopes(req, "write");
+
+    getShopifyConfig();
+    getLlmConfig();
+
+    if (targetLocales.length > 0) {
+      checkTargetLocales(targetLocales, await getShopLocales());
+    }
+
+    const options = {
+      mode: runMode,
+      locales: targetLocales,
+      vision: vision === true,
+      force: force === true,
+    };
+
+    if (!all) {
+      const product = await getProductContext(
+        { productId, handle },
+        PRODUCT_MEDIA_FIELDS
+      );
+      const result = await processProductAltText(product, options);
+      return res.status(200).json({ ok: true, mode: runMode, product: result });
+    }
+
+    const { items, scanned, nextCursor } = await scanConnection(
+      async (variables) =>
+        (await shopifyGraphql(SCAN_QUERY, variables, "scanning products"))
+          ?.products || {},
+      {
+        limit: productLimit,
+        cursor,
+        matches: (product) =>
+          productImages(product).some((img) => options.force || img.problem),
+      }
+    );
+
+    // One product failing (model or Shopify error) shouldn't lose the rest
+    const products = [];
+    for (const product of items) {
+      try {
+        products.push(await processProductAltText(product, options));
+      } catch (err) {
+        products.push({
+          id: product.id,
+          handle: product.handle,
+          title: product.title,
+          status: "failed",
+          error: err.message,
+        });
+      }
+    }
+
+    return res.status(200).json({
+      ok: true,
+      mode: runMode,
+      all: true,
+      scanned,
+      count: products.length,
+      products,
+      nextCursor,
+    });
+  } catch (err) {
+    return sendError(res, err, "/api/generate-alt-text");
+  }
+}
+
+export default withAuth("ai", handler);
@@ -0,0 +1,164 @@
+// api/generate-collection-seo.js
+// Asks the model for meta title / description candidates for collections,
+// using a sample of the collection's products as context.
+//
+// POST { collectionId | handle, count?: 1-5,
+//        mode?: "preview" | "apply" | "review", pick?: 0 }
+// POST { bulk: true, limit?: 1-20, cursor?, count?, mode? }
+//
+// Single mode works like generate-product-seo. Bulk mode walks the collections
+// from `cursor`, takes the next `limit` with an empty SEO title or
+// description and, in apply mode, writes the first candidate within limits.
+// apply needs the "write" scope; review queues the candidate apply would
+// write for a person to approve instead (see /api/review-queue).
+import { requireScopes, withAuth } from "../lib/auth.js";
+import {
+  COLLECTION_CONTEXT_FIELDS,
+  getCollectionContext,
+} from "../lib/collections.js";
+import { sendError } from "../lib/errors.js";
+import { getLlmConfig } from "../lib/llm.js";
+import { queueSeoReview } from "../lib/review-queue.js";
+import {
+  findItemsMissingSeo,
+  generateSeoCandidates,
+  parseBulkLimit,
+  parseCandidateCount,
+  parseMode,
+  pickCandidate,
+  runBulkSeo,
+} from "../lib/seo.js";
+import { SEO_TARGETS } from "../lib/seo-targets.js";
+import { getShopifyConfig, shopifyGraphql } from "../lib/shopify.js";
+
+const SCAN_QUERY = `
+  query collectionsForSeo($first: Int!, $after: String) {
+    collections(first: $first, after: $after) {
+      pageInfo {
+        hasNextPage
+      }
+      edges {
+        cursor
+        node { ${COLLECTION_CONTEXT_FIELDS} }
+      }
+    }
+  }
+`;
+
+const target = SEO_TARGETS.collection;
+
+function queueReview(collection, chosen, candidates, keys) {
+  return queueSeoReview({
+    type: "collection",
+    node: collection,
+    chosen,
+    candidates,
+    keys,
+  });
+}
+
+async function handler(req, res) {
+  try {
+    if (req.method !== "POST") {
+      return res
+        .status(405)
+        .json({ ok: false, error: "Method not allowed. Use POST." });
+    }
+
+    const {
+      collectionId,
+      handle,
+      count,
+      mode,
+      pick = 0,
+      bulk,
+      limit,
+      cursor,
+    } = req.body || {};
+
+    if (!bulk && !collectionId && !handle) {
+      return res.status(400).json({
+        ok: false,
+        error: "Missing 'collectionId' or 'handle' in body (or use bulk: true)",
+      });
+    }
+
+    const candidateCount = parseCandidateCount(count);
+    const runMode = parseMode(mode, ["preview", "apply", "review"]);
+    const bulkLimit = bulk ? parseBulkLimit(limit) : null;
+    if (runMode === "apply") requireScopes(req, "write");
+
+    getShopifyConfig();
+    getLlmConfig();
+
+    if (bulk) {
+      const { items, scanned, nextCursor } = await findItemsMissingSeo(
+        async (variables) =>
+          (await shopifyGraphql(SCAN_QUERY, variables, "scanning collections"))
+            ?.collections || {},
+        {
+          limit: bulkLimit,
+          cursor,
+          getSeo: target.getSeo,
+        }
+      );
+
+      const results = await runBulkSeo(items, {
+        resourceLabel: target.label,
+        mode: runMode,
+        count: candidateCount,
+        describe: target.describe,
+        toContext: target.toContext,
+        getSeo: target.getSeo,
+        write: target.write,
+        review: queueReview,
+      });
+
+      return res.status(200).json({
+        ok: true,
+        mode: runMode,
+        bulk: true,
+        scanned,
+        count: results.length,
+        results,
+        nextCursor,
+      });
+    }
+
+    const collection = await getCollectionContext({ collectionId, handle });
+
+    const candidates = await generateSeoCandidates({
+      resourceLabel: target.label,
+      count: candidateCount,
+      context: target.toContext(collection),
+    });
+
+    const response = {
+      ok: true,
+      mode: runMode,
+      collection: target.describe(collection),
+      candidates,
+    };
+
+    if (runMode === "apply") {
+      const chosen = pickCandidate(candidates, pick);
+      response.applied = chosen;
+      response.updatedCollection = await target.write(collection, chosen);
+    }
+
+    if (runMode === "review") {
+      const item = await queueReview(
+        collection,
+        pickCandidate(candidates, pick),
+        candidates
+      );
+      response.reviewItem = item.id;
+    }
+
+    return res.status(200).json(response);
+  } catch (err) {
+    return sendError(res, err, "/api/generate-collection-seo");
+  }
+}
+
+export default withAuth("ai", handler);
@@ -0,0 +1,86 @@
+// api/generate-product-seo.js
+// Asks the model for meta title / description candidates for one product.
+//
+// POST { productId | handle, count?: 1-5,
+//        mode?: "preview" | "apply" | "review", pick?: 0 }
+//
+// preview (default) only returns the candidates. apply also writes
+// candidates[pick] through productUpdate, and needs the "write" scope.
+// review queues candidates[pick] for a person to approve instead.
+import { requireScopes, withAuth } from "../lib/auth.js";
+import { sendError } from "../lib/errors.js";
+import { getLlmConfig } from "../lib/llm.js";
+import { getProductContext } from "../lib/products.js";
+import { queueSeoReview } from "../lib/review-queue.js";
+import {
+  generateSeoCandidates,
+  parseCandidateCount,
+  parseMode,
+  pickCandidate,
+} from "../lib/seo.js";
+import { SEO_TARGETS } from "../lib/seo-targets.js";
+import { getShopifyConfig } from "../lib/shopify.js";
+
+const target = SEO_TARGETS.product;
+
+async function handler(req, res) {
+  try {
+    if (req.method !== "POST") {
+      return res
+        .status(405)
+        .json({ ok: false, error: "Method not allowed. Use POST." });
+    }
+
+    const { productId, handle, count, mode, pick = 0 } = req.body || {};
+
+    if (!productId && !handle) {
+      return res
+        .status(400)
+        .json({ ok: false, error: "Missing 'productId' or 'handle' in body" });
+    }
+
+    const candidateCount = parseCandidateCount(count);
+    const runMode = parseMode(mode, ["preview", "apply", "review"]);
+    if (runMode === "apply") requireScopes(req, "write");
+
+    getShopifyConfig();
+    getLlmConfig();
+
+    const product = await getProductContext({ productId, handle });
+
+    const candidates = await generateSeoCandidates({
+      resourceLabel: target.label,
+      count: candidateCount,
+      context: target.toContext(product),
+    });
+
+    const response = {
+      ok: true,
+      mode: runMode,
+      product: target.describe(product),
+      candidates,
+    };
+
+    if (runMode === "apply") {
+      const chosen = pickCandidate(candidates, pick);
+      response.applied = chosen;
+      response.updatedProduct = await target.write(product, chosen);
+    }
+
+    if (runMode === "review") {
+      const item = await queueSeoReview({
+        type: "product",
+        node: product,
+        chosen: pickCandidate(candidates, pick),
+        candidates,
+      });
+      response.reviewItem = item.id;
+    }
+
+    return res.status(200).json(response);
+  } catch (err) {
+    return sendError(res, err, "/api/generate-product-seo");
+  }
+}
+
+export default withAuth("ai", handler);
@@ -0,0 +1,67 @@
+// api/get-translations.js
+// GET /api/get-translations?type=product&id=123&locales=ar,fr
+// GET /api/get-translations?type=article&handle=my-article
+//
+// What is registered for one resource: per locale and key, the source value,
+// the translated value (null when there is none), the source digest and
+// whether Shopify marks the translation outdated. type is product,
+// collection, article, blog or page; locales defaults to every published
+// locale. Remove bad ones with /api/remove-translations.
+import { withAuth } from "../lib/auth.js";
+import { sendError } from "../lib/errors.js";
+import { getShopifyConfig } from "../lib/shopify.js";
+import {
+  checkTargetLocales,
+  getResourceTranslations,
+  getShopLocales,
+  parseLocales,
+  parseResourceType,
+  resolveResourceId,
+} from "../lib/translate.js";
+
+async function handler(req, res) {
+  try {
+    if (req.method !== "GET") {
+      return res
+        .status(405)
+        .json({ ok: false, error: "Method not allowed. Use GET." });
+    }
+
+    const { type, id, handle, locales } = req.query || {};
+
+    const resourceType = parseResourceType(type);
+    if (!id && !handle) {
+      return res
+        .status(400)
+        .json({ ok: false, error: "Provide ?id= or ?handle=" });
+    }
+
+    getShopifyConfig();
+
+    const shopLocales = await getShopLocales();
+    const targetLocales = locales
+      ? parseLocales(String(locales).split(","))
+      : shopLocales.publishedLocales;
+    checkTargetLocales(targetLocales, shopLocales);
+
+    const resourceId = await resolveResourceId(resourceType, { id, handle });
+    const translations = await getResourceTranslations(
+      resourceType,
+      resourceId,
+      targetLocales
+    );
+
+    return res.status(200).json({
+      ok: true,
+      resourceType,
+      resourceId,
+      primaryLocale: shopLocales.primaryLocale,
+      locales: targetLocales,
+      translations,
+    });
+  } catch (err) {
+    return sendError(res, err, "/api/get-translations");
+  }
+}
+
+export default withAuth("read", handler);
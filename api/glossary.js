@@ -0,0 +1,77 @@
+// api/glossary.js
+// GET                        list the glossary (?locale=fr for the entries
+//                            that apply to one locale, ?q= to search terms)
+// POST { term, doNotTranslate?, translations?, note? }
+//      or { entries: [ ... ] }  add or update entries
+// DELETE ?term=dial (or { term })  remove an entry
+//
+// Every translation prompt gets the glossary entries that occur in its text:
+// doNotTranslate terms are copied as-is (and a translation that drops one is
+// rejected like a missing brand name), translations: { "fr": "cadran" } are
+// the wording to use (misses are listed as glossaryViolations in responses).
+// Terms match case-insensitively; translations: { "fr": null } removes one
+// locale. Reading needs "read", changes need "write".
+import { requireScopes, withAuth } from "../lib/auth.js";
+import { sendError } from "../lib/errors.js";
+import {
+  deleteGlossaryEntry,
+  loadGlossary,
+  upsertGlossaryEntries,
+} from "../lib/glossary.js";
+
+async function handler(req, res) {
+  try {
+    if (req.method === "GET") {
+      const { locale, q } = req.query || {};
+      const glossary = await loadGlossary();
+      const search = q ? String(q).toLowerCase() : null;
+
+      const entries = glossary.entries.filter(
+        (e) =>
+          (!locale || e.doNotTranslate || e.translations[locale]) &&
+          (!search || e.term.toLowerCase().includes(search))
+      );
+
+      return res.status(200).json({
+        ok: true,
+        updatedAt: glossary.updatedAt,
+        count: entries.length,
+        entries,
+      });
+    }
+
+    if (req.method === "POST") {
+      requireScopes(req, "write");
+
+      const body = req.body || {};
+      const inputs = body.entries !== undefined ? body.entries : [body];
+      const saved = await upsertGlossaryEntries(inputs, {
+        by: req.apiKey?.name,
+      });
+
+      return res.status(200).json({ ok: true, saved });
+    }
+
+    if (req.method === "DELETE") {
+      requireScopes(req, "write");
+
+      const term = req.query?.term || req.body?.term;
+      if (!term) {
+        return res
+          .status(400)
+          .json({ ok: false, error: "Missing required field: term" });
+      }
+
+      const deleted = await deleteGlossaryEntry(term);
+      return res.status(200).json({ ok: true, deleted });
+    }
+
+    return res
+      .status(405)
+      .json({ ok: false, error: "Method not allowed. Use GET, POST or DELETE." });
+  } catch (err) {
+    return sendError(res, err, "/api/glossary");
+  }
+}
+
+export default withAuth("read", handler);
@@ -0,0 +1,48 @@
+// api/history.js
+// GET /api/history?resource_type=product&resource_id=123
+//                 &batch_id=...&who=...&since=...&until=...&limit=50
+// GET /api/history?entry_id=...
+//
+// Reads the audit log every write goes into (see lib/audit-log.js), newest
+// first. Each entry says who wrote what through which endpoint and why, with
+// the values before and after; its id or batchId can be handed to
+// /api/revert. resource_type is one of product, collection, article,
+// translation, product_media; resource_id takes a numeric id or a GID.
+import {
+  getAuditEntry,
+  listAuditEntries,
+  parseHistoryQuery,
+} from "../lib/audit-log.js";
+import { withAuth } from "../lib/auth.js";
+import { sendError } from "../lib/errors.js";
+
+async function handler(req, res) {
+  try {
+    if (req.method !== "GET") {
+      return res
+        .status(405)
+        .json({ ok: false, error: "Method not allowed. Use GET." });
+    }
+
+    const params = req.query || {};
+
+    if (params.entry_id) {
+      const entry = await getAuditEntry(String(params.entry_id));
+      return res.status(200).json({ ok: true, entry });
+    }
+
+    const filter = parseHistoryQuery(params);
+    const { entries, truncated } = await listAuditEntries(filter);
+
+    return res.status(200).json({
+      ok: true,
+      count: entries.length,
+      truncated,
+      entries,
+    });
+  } catch (err) {
+    return sendError(res, err, "/api/history");
+  }
+}
+
+export default withAuth("read", handler);
@@ -0,0 +1,109 @@
+// api/import-content.js
+// Imports rows in the export-content format.
+//
+// POST { csv: "<file contents>" } or { rows: [{ type, id, ... }] },
+//      mode?: "dry-run" | "apply"
+// POST text/csv body with ?mode=apply works too (curl --data-binary @file.csv)
+//
+// dry-run (default) validates every row and returns the before/after diff
+// without writing. apply writes the rows that have changes and no errors.
+// Blank cells leave the field as it is. Up to MAX_IMPORT_ROWS rows per file.
+//
+// Each call works until the time budget (timeBudgetMs) runs out. If rows are
+// left, the response has complete: false and nextLine; send the same file
+// again with fromLine set to it.
+import { withAuth } from "../lib/auth.js";
+import {
+  FIRST_LINE,
+  importContent,
+  parseImportColumns,
+} from "../lib/content-io.js";
+import { parseCsv } from "../lib/csv.js";
+import { HttpError, sendError } from "../lib/errors.js";
+import { getShopifyConfig } from "../lib/shopify.js";
+import { checkTargetLocales, getShopLocales } from "../lib/translate.js";
+
+// Leave headroom under the platform's function timeout
+const DEFAULT_TIME_BUDGET_MS = Number(
+  process.env.IMPORT_TIME_BUDGET_MS || 20000
+);
+const MAX_TIME_BUDGET_MS = 55000;
+
+function parseFromLine(value) {
+  if (value === undefined || value === "") return FIRST_LINE;
+  const line = Number(value);
+  if (!Number.isInteger(line) || line < FIRST_LINE) {
+    throw new HttpError(
+      400,
+      `'fromLine' must be a whole number from ${FIRST_LINE} (the first row)`
+    );
+  }
+  return line;
+}
+
+// { columns, rows } from whichever form the upload came in
+function readUpload(body) {
+  if (typeof body === "string") return parseCsv(body);
+  if (typeof body?.csv === "string") return parseCsv(body.csv);
+
+  if (Array.isArray(body?.rows)) {
+    const columns = [
+      ...new Set(body.rows.flatMap((row) => Object.keys(row || {}))),
+    ];
+    const rows = body.rows.map((row) =>
+      Object.fromEntries(
+        Object.entries(row || {}).map(([k, v]) => [
+          k,
+          v === null || v === undefined ? "" : String(v),
+        ])
+      )
+    );
+    return { columns, rows };
+  }
+
+  throw new HttpError(400, "Send 'csv' (file contents) or 'rows' in the body");
+}
+
+async function handler(req, res) {
+  try {
+    if (req.method !== "POST") {
+      return res
+        .status(405)
+        .json({ ok: false, error: "Method not allowed. Use POST." });
+    }
+
+    const startedAt = Date.now();
+    const mode = req.body?.mode || req.query?.mode || "dry-run";
+    if (mode !== "dry-run" && mode !== "apply") {
+      throw new HttpError(400, "'mode' must be \"dry-run\" or \"apply\"");
+    }
+
+    const fromLine = parseFromLine(req.body?.fromLine ?? req.query?.fromLine);
+    const budget = Math.min(
+      Number(req.body?.timeBudgetMs ?? req.query?.timeBudgetMs) ||
+        DEFAULT_TIME_BUDGET_MS,
+      MAX_TIME_BUDGET_MS
+    );
+
+    const { columns, rows } = readUpload(req.body);
+    const locales = parseImportColumns(columns);
+
+    getShopifyConfig();
+
+    if (locales.length > 0) checkTargetLocales(locales, await getShopLocales());
+
+    const result = await importContent({
+      rows,
+      locales,
+      dryRun: mode === "dry-run",
+      deadline: startedAt + budget,
+      fromLine,
+    });
+
+    return res.status(200).json({ ok: true, mode, locales, ...result });
+  } catch (err) {
+    return sendError(res, err, "/api/import-content");
+  }
+}
+
+export default withAuth("write", handler);
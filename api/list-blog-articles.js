@@ -1,8 +1,62 @@
 // api/list-blog-articles.js
+// GET /api/list-blog-articles?limit=50&cursor=...  (or ?all=true)
+//
+// Filters: blog_id=<id>  published=true|false
+// Post-filter: missing_seo=title|description|any (checked per page, so a
+//   page can hold fewer than `limit` articles)
+import { withAuth } from "../lib/auth.js";
+import { HttpError, sendError } from "../lib/errors.js";
+import { stripTags } from "../lib/html-validate.js";
+import { paginate, parsePagination } from "../lib/pagination.js";
+import { parseMissingSeo } from "../lib/seo.js";
+import { getShopifyConfig, numericId, shopifyGraphql } from "../lib/shopify.js";
 
-const SHOPIFY_API_VERSION = "2024-07";
+// Builds the `query:` argument for articles(...); null when there is nothing
+// to filter on
+function buildArticleSearch(params) {
+  const terms = [];
 
-export default async function handler(req, res) {
+  if (params.blog_id) {
+    const id = numericId(params.blog_id);
+    if (!/^\d+$/.test(id)) {
+      throw new HttpError(400, "'blog_id' must be a blog id or GID");
+    }
+    terms.push(`blog_id:${id}`);
+  }
+
+  if (params.published !== undefined) {
+    if (params.published !== "true" && params.published !== "false") {
+      throw new HttpError(400, "'published' must be true or false");
+    }
+    const status = params.published === "true" ? "published" : "unpublished";
+    terms.push(`published_status:${status}`);
+  }
+
+  return terms.length > 0 ? terms.join(" AND ") : null;
+}
+
+function shapeArticle(article) {
+  return {
+    id: article.id,
+    numericId: numericId(article.id),
+    handle: article.handle,
+    title: article.title,
+    blogId: article.blog ? numericId(article.blog.id) : null,
+    blogTitle: article.blog?.title || null,
+    blogHandle: article.blog?.handle || null,
+    author: article.author?.name || null,
+    tags: article.tags || [],
+    isPublished: article.isPublished,
+    publishedAt: article.publishedAt || null,
+    summaryHtml: article.summary || null,
+    // Characters of visible text, without the markup
+    bodyLength: stripTags(article.body).replace(/\s+/g, " ").trim().length,
+    seoTitle: article.seoTitle?.value || null,
+    seoDescription: article.seoDescription?.value || null,
+  };
+}
+
+async function handler(req, res) {
   try {
     if (req.method !== "GET") {
       return res
@@ -10,91 +64,77 @@ export default async function handler(req, res) {
         .json({ ok: false, error: "Method not allowed. Use GET." });
     }
 
-    const storeDomain = process.env.SHOPIFY_STORE_DOMAIN;
-    const adminToken = process.env.SHOPIFY_ADMIN_TOKEN;
+    const params = req.query || {};
+    const pagination = parsePagination(params, { defaultLimit: 50 });
+    const search = buildArticleSearch(params);
+    const missingSeo = parseMissingSeo(params.missing_seo);
 
-    if (!storeDomain || !adminToken) {
-      return res.status(500).json({
-        ok: false,
-        error:
-          "Missing environment variables. Check SHOPIFY_STORE_DOMAIN and SHOPIFY_ADMIN_TOKEN.",
-      });
-    }
+    getShopifyConfig();
 
+    // Top-level articles connection so one cursor covers every blog.
+    // The SEO title/description live in the "global" metafields.
     const query = `
-  query listBlogArticles {
-    blogs(first: 10) {
-      edges {
-        node {
-          id
-          title
-          handle
-          articles(first: 50) {
-            edges {
-              node {
-                id
-                handle
-                title
-              }
+      query listBlogArticles($first: Int!, $after: String, $query: String) {
+        articles(first: $first, after: $after, query: $query) {
+          pageInfo {
+            hasNextPage
+            endCursor
+          }
+          nodes {
+            id
+            handle
+            title
+            author {
+              name
+            }
+            tags
+            isPublished
+            publishedAt
+            summary
+            body
+            blog {
+              id
+              title
+              handle
+            }
+            seoTitle: metafield(namespace: "global", key: "title_tag") {
+              value
+            }
+            seoDescription: metafield(namespace: "global", key: "description_tag") {
+              value
             }
           }
         }
       }
-    }
-  }
-`;
+    `;
 
-    const shopifyRes = await fetch(
-      `https://${storeDomain}/admin/api/${SHOPIFY_API_VERSION}/graphql.json`,
-      {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          "X-Shopify-Access-Token": adminToken,
-        },
-        body: JSON.stringify({ query }),
-      }
+    const { items, pageInfo, nextCursor, truncated } = await paginate(
+      async (variables) =>
+        (
+          await shopifyGraphql(
+            query,
+            { ...variables, query: search },
+            "listing blog articles"
+          )
+        )?.articles || {},
+      pagination
     );
 
-    const shopifyJson = await shopifyRes.json();
-
-    if (!shopifyRes.ok || shopifyJson.errors) {
-      console.error("Shopify listBlogArticles error:", shopifyJson);
-      return res.status(500).json({
-        ok: false,
-        error: "Shopify API error when listing blog articles",
-        details: shopifyJson.errors || shopifyJson,
-      });
-    }
-
-    const blogs = shopifyJson.data?.blogs?.edges || [];
-
-    const articles = [];
-    for (const blogEdge of blogs) {
-      const blog = blogEdge.node;
-      const articleEdges = blog.articles?.edges || [];
-      for (const aEdge of articleEdges) {
-        const article = aEdge.node;
-        articles.push({
-  id: article.id,
-  handle: article.handle,
-  title: article.title,
-  blogTitle: blog.title,
-  seoTitle: null,
-  seoDescription: null
-});
-      }
-    }
+    let articles = items.map(shapeArticle);
+    if (missingSeo) articles = articles.filter(missingSeo);
 
     return res.status(200).json({
       ok: true,
+      search,
       count: articles.length,
       articles,
+      pageInfo,
+      nextCursor,
+      truncated,
     });
   } catch (err) {
-    console.error("Unexpected error in /api/list-blog-articles:", err);
-    return res
-      .status(500)
-      .json({ ok: false, error: "Unexpected server error" });
+    return sendError(res, err, "/api/list-blog-articles");
   }
 }
+
+export default withAuth("read", handler);
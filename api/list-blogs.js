@@ -1,7 +1,32 @@
 // api/list-blogs.js
-const SHOPIFY_API_VERSION = "2024-07";
+// GET /api/list-blogs?limit=50&cursor=...  (or ?all=true)
+import { withAuth } from "../lib/auth.js";
+import { sendError } from "../lib/errors.js";
+import { paginate, parsePagination } from "../lib/pagination.js";
+import { getShopifyConfig, nextPageInfo, shopifyRest } from "../lib/shopify.js";
 
-export default async function handler(req, res) {
+// REST pages with page_info cursors from the Link header; shape it like a
+// GraphQL connection so it can go through paginate()
+async function fetchBlogsPage({ first, after }) {
+  const params = new URLSearchParams({ limit: String(first) });
+  if (after) params.set("page_info", after);
+
+  const { data, headers } = await shopifyRest(
+    "GET",
+    `blogs.json?${params}`,
+    null,
+    "listing blogs"
+  );
+
+  const endCursor = nextPageInfo(headers.get("link"));
+
+  return {
+    nodes: data?.blogs || [],
+    pageInfo: { hasNextPage: Boolean(endCursor), endCursor },
+  };
+}
+
+async function handler(req, res) {
   if (req.method !== "GET") {
     return res
       .status(405)
@@ -9,40 +34,16 @@ export default async function handler(req, res) {
   }
 
   try {
-    const storeDomain = process.env.SHOPIFY_STORE_DOMAIN;
-    const adminToken = process.env.SHOPIFY_ADMIN_TOKEN;
+    const pagination = parsePagination(req.query, { defaultLimit: 50 });
 
-    if (!storeDomain || !adminToken) {
-      return res.status(500).json({
-        ok: false,
-        error:
-          "Missing environment variables. Check SHOPIFY_STORE_DOMAIN and SHOPIFY_ADMIN_TOKEN.",
-      });
-    }
+    getShopifyConfig();
 
-    const endpoint = `https://${storeDomain}/admin/api/${SHOPIFY_API_VERSION}/blogs.json`;
+    const { items, pageInfo, nextCursor, truncated } = await paginate(
+      fetchBlogsPage,
+      pagination
+    );
 
-    const shopifyRes = await fetch(endpoint, {
-      method: "GET",
-      headers: {
-        "Content-Type": "application/json",
-        "X-Shopify-Access-Token": adminToken,
-      },
-    });
-
-    const data = await shopifyRes.json().catch(() => null);
-
-    if (!shopifyRes.ok) {
-      console.error("Shopify REST list blogs error:", shopifyRes.status, data);
-      return res.status(500).json({
-        ok: false,
-        error: "Shopify REST list blogs error",
-        status: shopifyRes.status,
-        details: data,
-      });
-    }
-
-    const blogs = (data.blogs || []).map((b) => ({
+    const blogs = items.map((b) => ({
       id: b.id,
       title: b.title,
       handle: b.handle,
@@ -52,13 +53,13 @@ export default async function handler(req, res) {
       ok: true,
       count: blogs.length,
       blogs,
+      pageInfo,
+      nextCursor,
+      truncated,
     });
   } catch (err) {
-    console.error("Unexpected error in /api/list-blogs:", err);
-    return res.status(500).json({
-      ok: false,
-      error: "Unexpected server error",
-      details: String(err),
-    });
+    return sendError(res, err, "/api/list-blogs");
   }
 }
+
+export default withAuth("read", handler);
@@ -1,8 +1,11 @@
 // api/list-collections.js
+// GET /api/list-collections?limit=50&cursor=...  (or ?all=true)
+import { withAuth } from "../lib/auth.js";
+import { sendError } from "../lib/errors.js";
+import { paginate, parsePagination } from "../lib/pagination.js";
+import { getShopifyConfig, shopifyGraphql } from "../lib/shopify.js";
 
-const SHOPIFY_API_VERSION = "2024-07";
-
-export default async function handler(req, res) {
+async function handler(req, res) {
   try {
     if (req.method !== "GET") {
       return res
@@ -10,72 +13,50 @@ export default async function handler(req, res) {
         .json({ ok: false, error: "Method not allowed. Use GET." });
     }
 
-    const storeDomain = process.env.SHOPIFY_STORE_DOMAIN;
-    const adminToken = process.env.SHOPIFY_ADMIN_TOKEN;
+    const pagination = parsePagination(req.query, { defaultLimit: 50 });
 
-    if (!storeDomain || !adminToken) {
-      return res.status(500).json({
-        ok: false,
-        error:
-          "Missing environment variables. Check SHOPIFY_STORE_DOMAIN and SHOPIFY_ADMIN_TOKEN.",
-      });
-    }
+    getShopifyConfig();
 
-    // Get up to 50 collections (you probably have far less)
     const query = `
-      query listCollections {
-        collections(first: 50) {
-          edges {
-            node {
-              id
-              handle
+      query listCollections($first: Int!, $after: String) {
+        collections(first: $first, after: $after) {
+          pageInfo {
+            hasNextPage
+            endCursor
+          }
+          nodes {
+            id
+            handle
+            title
+            description
+            seo {
               title
               description
-              seo {
-                title
-                description
-              }
             }
           }
         }
       }
     `;
 
-    const shopifyRes = await fetch(
-      `https://${storeDomain}/admin/api/${SHOPIFY_API_VERSION}/graphql.json`,
-      {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          "X-Shopify-Access-Token": adminToken,
-        },
-        body: JSON.stringify({ query }),
-      }
-    );
-
-    const shopifyJson = await shopifyRes.json();
-
-    if (!shopifyRes.ok || shopifyJson.errors) {
-      console.error("Shopify listCollections error:", shopifyJson);
-      return res.status(500).json({
-        ok: false,
-        error: "Shopify API error when listing collections",
-        details: shopifyJson.errors || shopifyJson,
-      });
-    }
-
-    const edges = shopifyJson.data?.collections?.edges || [];
-    const collections = edges.map((e) => e.node);
+    const { items: collections, pageInfo, nextCursor, truncated } =
+      await paginate(
+        async (variables) =>
+          (await shopifyGraphql(query, variables, "listing collections"))
+            ?.collections || {},
+        pagination
+      );
 
     return res.status(200).json({
       ok: true,
       count: collections.length,
       collections,
+      pageInfo,
+      nextCursor,
+      truncated,
     });
   } catch (err) {
-    console.error("Unexpected error in /api/list-collections:", err);
-    return res
-      .status(500)
-      .json({ ok: false, error: "Unexpected server error" });
+    return sendError(res, err, "/api/list-collections");
   }
 }
+
+export default withAuth("read", handler);
@@ -1,8 +1,26 @@
 // api/list-product-handles.js
+// GET /api/list-product-handles?limit=100&cursor=...  (or ?all=true)
+//
+// Filters (Shopify product search): status=active,draft  vendor=Seiko
+//   product_type=Watch  tag=summer,sale  collection=<id>
+//   updated_after=2024-06-01  updated_before=2024-07-01  q=<free text>
+// Extra data: fields=details,seo,description,images,variants
+// Post-filter: missing_seo=title|description|any (checked per page, so a
+//   page can hold fewer than `limit` products)
+import { withAuth } from "../lib/auth.js";
+import { sendError } from "../lib/errors.js";
+import { paginate, parsePagination } from "../lib/pagination.js";
+import {
+  buildProductSearch,
+  parseProductFields,
+  productMaxPageSize,
+  productSelection,
+  shapeProduct,
+} from "../lib/product-search.js";
+import { parseMissingSeo } from "../lib/seo.js";
+import { getShopifyConfig, shopifyGraphql } from "../lib/shopify.js";
 
-const SHOPIFY_API_VERSION = "2024-07";
-
-export default async function handler(req, res) {
+async function handler(req, res) {
   try {
     if (req.method !== "GET") {
       return res
@@ -10,66 +28,63 @@ export default async function handler(req, res) {
         .json({ ok: false, error: "Method not allowed. Use GET." });
     }
 
-    const storeDomain = process.env.SHOPIFY_STORE_DOMAIN;
-    const adminToken = process.env.SHOPIFY_ADMIN_TOKEN;
+    const params = req.query || {};
+    const pagination = parsePagination(params, { defaultLimit: 100 });
+    const search = buildProductSearch(params);
+    const fields = parseProductFields(params.fields);
 
-    if (!storeDomain || !adminToken) {
-      return res.status(500).json({
-        ok: false,
-        error:
-          "Missing environment variables. Check SHOPIFY_STORE_DOMAIN, SHOPIFY_ADMIN_TOKEN.",
-      });
-    }
+    const missingSeo = parseMissingSeo(params.missing_seo);
+    // The SEO post-filter needs the SEO fields
+    const selectedFields =
+      missingSeo && !fields.includes("seo") ? [...fields, "seo"] : fields;
+
+    getShopifyConfig();
 
     const query = `
-      query listProducts {
-        products(first: 100) {
-          edges {
-            node {
-              id
-              handle
-              title
-            }
+      query listProducts($first: Int!, $after: String, $query: String) {
+        products(first: $first, after: $after, query: $query) {
+          pageInfo {
+            hasNextPage
+            endCursor
+          }
+          nodes {
+            id
+            handle
+            title
+            ${productSelection(selectedFields)}
           }
         }
       }
     `;
 
-    const shopifyRes = await fetch(
-      `https://${storeDomain}/admin/api/${SHOPIFY_API_VERSION}/graphql.json`,
-      {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          "X-Shopify-Access-Token": adminToken,
-        },
-        body: JSON.stringify({ query }),
-      }
+    const { items, pageInfo, nextCursor, truncated } = await paginate(
+      async (variables) =>
+        (
+          await shopifyGraphql(
+            query,
+            { ...variables, query: search },
+            "listing products"
+          )
+        )?.products || {},
+      pagination,
+      { maxPageSize: productMaxPageSize(selectedFields) }
     );
 
-    const shopifyJson = await shopifyRes.json();
-
-    if (!shopifyRes.ok || shopifyJson.errors) {
-      console.error("Shopify listProducts error:", shopifyJson);
-      return res.status(500).json({
-        ok: false,
-        error: "Shopify API error when listing products",
-        details: shopifyJson.errors || shopifyJson,
-      });
-    }
-
-    const edges = shopifyJson.data?.products?.edges || [];
-    const products = edges.map((e) => e.node);
+    let products = items.map((node) => shapeProduct(node, selectedFields));
+    if (missingSeo) products = products.filter(missingSeo);
 
     return res.status(200).json({
       ok: true,
+      search,
       count: products.length,
       products,
+      pageInfo,
+      nextCursor,
+      truncated,
     });
   } catch (err) {
-    console.error("Unexpected error in /api/list-product-handles:", err);
-    return res
-      .status(500)
-      .json({ ok: false, error: "Unexpected server error" });
+    return sendError(res, err, "/api/list-product-handles");
   }
 }
+
+export default withAuth("read", handler);
@@ -0,0 +1,30 @@
+// api/llm-usage.js
+// GET /api/llm-usage?since=2025-01-01&until=...&task=translation&who=...
+//                   &recent=20
+//
+// Token usage and cost of the LLM calls every AI endpoint makes (see
+// lib/llm-usage.js): totals overall, per task and per model, plus the newest
+// `recent` calls. Costs are in USD from the price table, LLM_PRICES adds
+// models; `unpriced` counts calls whose cost isn't known.
+import { withAuth } from "../lib/auth.js";
+import { sendError } from "../lib/errors.js";
+import { parseUsageQuery, summarizeLlmUsage } from "../lib/llm-usage.js";
+
+async function handler(req, res) {
+  try {
+    if (req.method !== "GET") {
+      return res
+        .status(405)
+        .json({ ok: false, error: "Method not allowed. Use GET." });
+    }
+
+    const filter = parseUsageQuery(req.query || {});
+    const usage = await summarizeLlmUsage(filter);
+
+    return res.status(200).json({ ok: true, ...usage });
+  } catch (err) {
+    return sendError(res, err, "/api/llm-usage");
+  }
+}
+
+export default withAuth("read", handler);
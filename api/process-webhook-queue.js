@@ -0,0 +1,68 @@
+// api/process-webhook-queue.js
+// POST { limit?: 1-50, timeBudgetMs? }
+//
+// Works the resources queued by /api/shopify-webhook: fills in empty SEO
+// titles / descriptions and translates missing or outdated keys into
+// WEBHOOK_LOCALES (default: every published locale). Meant to be called from
+// a cron every few minutes; each call stops at the time budget and the next
+// one picks up the rest. Writes are logged with the webhook topic as reason.
+import { withAuth } from "../lib/auth.js";
+import { HttpError, sendError } from "../lib/errors.js";
+import { getLlmConfig } from "../lib/llm.js";
+import { getShopifyConfig } from "../lib/shopify.js";
+import {
+  listWebhookQueue,
+  processWebhookQueue,
+  summarizeQueue,
+} from "../lib/webhooks.js";
+
+// Leave headroom under the platform's function timeout
+const DEFAULT_TIME_BUDGET_MS = Number(
+  process.env.WEBHOOK_QUEUE_TIME_BUDGET_MS || 20000
+);
+const MAX_TIME_BUDGET_MS = 55000;
+const MAX_ITEMS = 50;
+
+async function handler(req, res) {
+  try {
+    if (req.method !== "POST") {
+      return res
+        .status(405)
+        .json({ ok: false, error: "Method not allowed. Use POST." });
+    }
+
+    const startedAt = Date.now();
+    const { limit = MAX_ITEMS, timeBudgetMs } = req.body || {};
+
+    const maxItems = Number(limit);
+    if (!Number.isInteger(maxItems) || maxItems < 1 || maxItems > MAX_ITEMS) {
+      throw new HttpError(
+        400,
+        `'limit' must be a whole number between 1 and ${MAX_ITEMS}`
+      );
+    }
+
+    getShopifyConfig();
+    getLlmConfig();
+
+    const budget = Math.min(
+      Number(timeBudgetMs) || DEFAULT_TIME_BUDGET_MS,
+      MAX_TIME_BUDGET_MS
+    );
+
+    const run = await processWebhookQueue({
+      deadline: startedAt + budget,
+      limit: maxItems,
+    });
+
+    return res.status(200).json({
+      ok: true,
+      run,
+      queue: summarizeQueue(await listWebhookQueue()),
+    });
+  } catch (err) {
+    return sendError(res, err, "/api/process-webhook-queue");
+  }
+}
+
+export default withAuth(["ai", "write"], handler);
@@ -2,23 +2,14 @@
 // This endpoint reads a product from Shopify by its handle:
 // GET /api/products?handle=your-product-handle
 
-const url = require('url');
+import url from 'url';
+import { withAuth } from '../lib/auth.js';
+import { sendError } from '../lib/errors.js';
+import { getShopifyConfig, shopifyGraphql } from '../lib/shopify.js';
 
-module.exports = async (req, res) => {
+async function handler(req, res) {
   res.setHeader('Content-Type', 'application/json');
 
-  const { SHOPIFY_STORE_DOMAIN, SHOPIFY_ADMIN_TOKEN, SHOPIFY_API_VERSION } = process.env;
-
-  // Check environment variables
-  if (!SHOPIFY_STORE_DOMAIN || !SHOPIFY_ADMIN_TOKEN || !SHOPIFY_API_VERSION) {
-    res.statusCode = 500;
-    res.end(JSON.stringify({
-      ok: false,
-      error: 'Missing Shopify environment variables on the server'
-    }));
-    return;
-  }
-
   // Only allow GET here
   if (req.method !== 'GET') {
     res.statusCode = 405;
@@ -42,8 +33,6 @@ module.exports = async (req, res) => {
     return;
   }
 
-  const endpoint = `https://${SHOPIFY_STORE_DOMAIN}/admin/api/${SHOPIFY_API_VERSION}/graphql.json`;
-
   const query = `
     query ProductByHandle($handle: String!) {
       productByHandle(handle: $handle) {
@@ -71,28 +60,11 @@ module.exports = async (req, res) => {
   const variables = { handle };
 
   try {
-    const response = await fetch(endpoint, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'X-Shopify-Access-Token': SHOPIFY_ADMIN_TOKEN
-      },
-      body: JSON.stringify({ query, variables })
-    });
-
-    const data = await response.json();
+    getShopifyConfig();
 
-    if (!response.ok || data.errors) {
-      res.statusCode = 500;
-      res.end(JSON.stringify({
-        ok: false,
-        error: 'Shopify API error',
-        details: data.errors || data
-      }));
-      return;
-    }
+    const data = await shopifyGraphql(query, variables, 'fetching product');
 
-    if (!data.data || !data.data.productByHandle) {
+    if (!data || !data.productByHandle) {
       res.statusCode = 404;
       res.end(JSON.stringify({
         ok: false,
@@ -101,7 +73,7 @@ module.exports = async (req, res) => {
       return;
     }
 
-    const product = data.data.productByHandle;
+    const product = data.productByHandle;
 
     // Simplify the response a bit
     const simplified = {
@@ -124,11 +96,8 @@ module.exports = async (req, res) => {
       product: simplified
     }, null, 2));
   } catch (err) {
-    console.error(err);
-    res.statusCode = 500;
-    res.end(JSON.stringify({
-      ok: false,
-      error: 'Unexpected server error'
-    }));
+    sendError(res, err, '/api/products');
   }
-};
+}
+
+export default withAuth('read', handler);
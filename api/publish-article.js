@@ -0,0 +1,52 @@
+// api/publish-article.js
+// POST { articleId, published?: true, publishedAt? }
+//
+// published: true (default) makes the article visible now, or at publishedAt
+// when that's in the future. published: false hides it again.
+import { buildArticleFields, updateArticle } from "../lib/articles.js";
+import { withAuth } from "../lib/auth.js";
+import { sendError } from "../lib/errors.js";
+import { getShopifyConfig } from "../lib/shopify.js";
+
+async function handler(req, res) {
+  if (req.method !== "POST") {
+    return res
+      .status(405)
+      .json({ ok: false, error: "Method not allowed. Use POST." });
+  }
+
+  try {
+    const { articleId, published = true, publishedAt } = req.body || {};
+
+    if (!articleId) {
+      return res
+        .status(400)
+        .json({ ok: false, error: "Missing required field: articleId" });
+    }
+
+    if (!published && publishedAt) {
+      return res.status(400).json({
+        ok: false,
+        error: "'publishedAt' only applies when publishing",
+      });
+    }
+
+    const fields = buildArticleFields({ published, publishedAt });
+
+    getShopifyConfig();
+
+    const article = await updateArticle(articleId, fields);
+    const scheduled =
+      published && publishedAt && new Date(publishedAt).getTime() > Date.now();
+
+    return res.status(200).json({
+      ok: true,
+      status: !published ? "hidden" : scheduled ? "scheduled" : "published",
+      article,
+    });
+  } catch (err) {
+    return sendError(res, err, "/api/publish-article");
+  }
+}
+
+export default withAuth("write", handler);
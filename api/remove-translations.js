@@ -0,0 +1,112 @@
+// api/remove-translations.js
+// POST { type, id | handle, locales: ["ar"], keys: ["title", "body_html"],
+//        reason? }
+//
+// Removes registered translations (translationsRemove) for the given keys in
+// each of the given locales, so the storefront falls back to the source text
+// until they are translated again. See /api/get-translations for the keys.
+// Removals are in the audit log and can be undone with /api/revert.
+import { withAuth } from "../lib/auth.js";
+import { HttpError, sendError } from "../lib/errors.js";
+import { getShopifyConfig } from "../lib/shopify.js";
+import {
+  getContentDigests,
+  getShopLocales,
+  parseLocales,
+  parseResourceType,
+  removeTranslations,
+  resolveResourceId,
+} from "../lib/translate.js";
+
+function parseKeys(keys) {
+  if (
+    !Array.isArray(keys) ||
+    keys.length === 0 ||
+    !keys.every((k) => typeof k === "string" && k.trim())
+  ) {
+    throw new HttpError(
+      400,
+      "'keys' must be a non-empty array of translatable keys, e.g. [\"title\"]"
+    );
+  }
+  return [...new Set(keys.map((k) => k.trim()))];
+}
+
+async function handler(req, res) {
+  try {
+    if (req.method !== "POST") {
+      return res
+        .status(405)
+        .json({ ok: false, error: "Method not allowed. Use POST." });
+    }
+
+    const { type, id, handle, locales, keys } = req.body || {};
+
+    const resourceType = parseResourceType(type);
+    const targetLocales = parseLocales(locales);
+    const translationKeys = parseKeys(keys);
+    if (!id && !handle) {
+      return res
+        .status(400)
+        .json({ ok: false, error: "Missing 'id' or 'handle' in body" });
+    }
+
+    getShopifyConfig();
+
+    const { primaryLocale } = await getShopLocales();
+    if (targetLocales.includes(primaryLocale)) {
+      throw new HttpError(
+        400,
+        `"${primaryLocale}" is the primary locale; it has no translations`
+      );
+    }
+
+    const resourceId = await resolveResourceId(resourceType, { id, handle });
+
+    const digests = await getContentDigests(resourceId);
+    const unknownKeys = translationKeys.filter((key) => !digests[key]);
+    if (unknownKeys.length > 0) {
+      throw new HttpError(
+        400,
+        `Unknown key(s) for this ${resourceType}: ${unknownKeys.join(", ")}`,
+        { keys: Object.keys(digests) }
+      );
+    }
+
+    const result = await removeTranslations(
+      resourceId,
+      translationKeys,
+      targetLocales
+    );
+
+    const userErrors = result?.userErrors || [];
+    if (userErrors.length > 0) {
+      throw new HttpError(400, "Shopify translationsRemove userErrors", {
+        userErrors,
+      });
+    }
+
+    // Pairs that had no translation to begin with aren't in the result
+    const removed = (result?.translations || []).map(({ locale, key }) => ({
+      locale,
+      key,
+    }));
+    const notTranslated = targetLocales.flatMap((locale) =>
+      translationKeys
+        .filter((key) => !removed.some((r) => r.locale === locale && r.key === key))
+        .map((key) => ({ locale, key }))
+    );
+
+    return res.status(200).json({
+      ok: true,
+      resourceType,
+      resourceId,
+      removed,
+      notTranslated,
+    });
+  } catch (err) {
+    return sendError(res, err, "/api/remove-translations");
+  }
+}
+
+export default withAuth("write", handler);
@@ -0,0 +1,53 @@
+// api/revert.js
+// POST { entryId } or { batchId }, mode?: "preview" | "apply", force?, reason?
+//
+// Undoes writes recorded in the audit log (see /api/history). With entryId
+// the resource goes back to how it was right before that entry, undoing any
+// later changes to it too; with batchId every write of that request is
+// undone. Newest changes are undone first.
+//
+// preview (default, "read" scope) lists what would be restored. apply needs
+// the "write" scope. A resource that was changed outside the log since its
+// last entry is reported as a conflict and left alone unless force: true.
+// Reverts are logged like any other write, with revertOf set.
+import { requireScopes, withAuth } from "../lib/auth.js";
+import { getAuditContext } from "../lib/audit-log.js";
+import { sendError } from "../lib/errors.js";
+import { findRevertEntries, revertEntries } from "../lib/revert.js";
+import { parseMode } from "../lib/seo.js";
+import { getShopifyConfig } from "../lib/shopify.js";
+
+async function handler(req, res) {
+  try {
+    if (req.method !== "POST") {
+      return res
+        .status(405)
+        .json({ ok: false, error: "Method not allowed. Use POST." });
+    }
+
+    const { entryId, batchId, mode: modeParam, force } = req.body || {};
+    const mode = parseMode(modeParam);
+    if (mode === "apply") requireScopes(req, "write");
+
+    getShopifyConfig();
+
+    const entries = await findRevertEntries({ entryId, batchId });
+    const { summary, steps } = await revertEntries(entries, {
+      mode,
+      force: force === true,
+    });
+
+    return res.status(200).json({
+      ok: true,
+      mode,
+      // The revert's own writes are logged under this batch
+      revertBatchId: mode === "apply" ? getAuditContext()?.batchId : null,
+      summary,
+      steps,
+    });
+  } catch (err) {
+    return sendError(res, err, "/api/revert");
+  }
+}
+
+export default withAuth("read", handler);
@@ -0,0 +1,41 @@
+// api/review-approve.js
+// POST { id } or { ids: [...] }, force?, note?, reason?
+//
+// Writes each item's proposed values to the store through the normal write
+// path (translationsRegister / productUpdate / ...), logged in the audit log
+// under the approving key. An item whose source text or SEO changed since it
+// was queued comes back as a conflict and stays pending, unless force: true.
+// Items that fail are marked failed and can be approved again.
+import { withAuth } from "../lib/auth.js";
+import { sendError } from "../lib/errors.js";
+import { approveReviewItems, parseReviewIds } from "../lib/review-queue.js";
+import { getShopifyConfig } from "../lib/shopify.js";
+
+async function handler(req, res) {
+  try {
+    if (req.method !== "POST") {
+      return res
+        .status(405)
+        .json({ ok: false, error: "Method not allowed. Use POST." });
+    }
+
+    const { force, note } = req.body || {};
+    const ids = parseReviewIds(req.body || {});
+
+    getShopifyConfig();
+
+    const results = await approveReviewItems(ids, {
+      force: force === true,
+      note,
+    });
+
+    const summary = {};
+    for (const r of results) summary[r.status] = (summary[r.status] || 0) + 1;
+
+    return res.status(200).json({ ok: true, summary, results });
+  } catch (err) {
+    return sendError(res, err, "/api/review-approve");
+  }
+}
+
+export default withAuth("write", handler);
@@ -0,0 +1,36 @@
+// api/review-edit.js
+// POST { id, fields: { "<key>": "new value" }, note? }
+//
+// Changes the proposed values of a pending review item before it's approved.
+// Keys are the item's field keys (seoTitle / seoDescription for SEO, content
+// keys like title or body_html for translations). The checks are run again on
+// the new values and the edit is kept in the item's history.
+import { withAuth } from "../lib/auth.js";
+import { sendError } from "../lib/errors.js";
+import { editReviewItem } from "../lib/review-queue.js";
+
+async function handler(req, res) {
+  try {
+    if (req.method !== "POST") {
+      return res
+        .status(405)
+        .json({ ok: false, error: "Method not allowed. Use POST." });
+    }
+
+    const { id, fields, note } = req.body || {};
+
+    if (!id) {
+      return res
+        .status(400)
+        .json({ ok: false, error: "Missing required field: id" });
+    }
+
+    const item = await editReviewItem(String(id), fields, { note });
+
+    return res.status(200).json({ ok: true, item });
+  } catch (err) {
+    return sendError(res, err, "/api/review-edit");
+  }
+}
+
+export default withAuth("write", handler);
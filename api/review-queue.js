@@ -0,0 +1,50 @@
+// api/review-queue.js
+// GET /api/review-queue?status=pending&kind=translation&resource_type=product
+//                      &resource_id=...&locale=ar&limit=50
+// GET /api/review-queue?id=...
+//
+// AI output waiting for a person (see lib/review-queue.js), newest first.
+// Translations and SEO land here when their endpoint ran with mode "review".
+// Each item has the original, generated and proposed value of every field,
+// checks on the proposed values and its history. status defaults to pending;
+// "all" lists everything. Edit with /api/review-edit, then
+// /api/review-approve or /api/review-reject.
+import { withAuth } from "../lib/auth.js";
+import { sendError } from "../lib/errors.js";
+import {
+  getReviewItem,
+  listReviewItems,
+  parseReviewQuery,
+} from "../lib/review-queue.js";
+
+async function handler(req, res) {
+  try {
+    if (req.method !== "GET") {
+      return res
+        .status(405)
+        .json({ ok: false, error: "Method not allowed. Use GET." });
+    }
+
+    const params = req.query || {};
+
+    if (params.id) {
+      const item = await getReviewItem(String(params.id));
+      return res.status(200).json({ ok: true, item });
+    }
+
+    const filter = parseReviewQuery(params);
+    const { counts, items, truncated } = await listReviewItems(filter);
+
+    return res.status(200).json({
+      ok: true,
+      counts,
+      count: items.length,
+      truncated,
+      items,
+    });
+  } catch (err) {
+    return sendError(res, err, "/api/review-queue");
+  }
+}
+
+export default withAuth("read", handler);
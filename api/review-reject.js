@@ -0,0 +1,31 @@
+// api/review-reject.js
+// POST { id } or { ids: [...] }, note?
+//
+// Drops review items without writing anything. The item is kept with who
+// rejected it and the note.
+import { withAuth } from "../lib/auth.js";
+import { sendError } from "../lib/errors.js";
+import { parseReviewIds, rejectReviewItems } from "../lib/review-queue.js";
+
+async function handler(req, res) {
+  try {
+    if (req.method !== "POST") {
+      return res
+        .status(405)
+        .json({ ok: false, error: "Method not allowed. Use POST." });
+    }
+
+    const { note } = req.body || {};
+    const ids = parseReviewIds(req.body || {});
+    const results = await rejectReviewItems(ids, { note });
+
+    const summary = {};
+    for (const r of results) summary[r.status] = (summary[r.status] || 0) + 1;
+
+    return res.status(200).json({ ok: true, summary, results });
+  } catch (err) {
+    return sendError(res, err, "/api/review-reject");
+  }
+}
+
+export default withAuth("write", handler);
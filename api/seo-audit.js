@@ -0,0 +1,130 @@
+// api/seo-audit.js
+// Start:    GET /api/seo-audit?types=products,collections,articles
+//                             &locales=fr,de&format=json|csv
+// Continue: GET /api/seo-audit?auditId=...&format=json|csv
+//
+// Each call reads the store until the time budget (timeBudgetMs) runs out.
+// Until the audit is complete the response has `complete: false` and the
+// auditId to continue with; the call that finishes it returns the report.
+//
+// Scans the whole store (each type capped at LIST_ALL_MAX_ITEMS) and flags
+// missing / too short / too long meta titles and descriptions, duplicates,
+// images without alt text, thin content and missing or outdated translations.
+// Every item gets a 0-100 score; every issue names the endpoint and body
+// that fixes it. locales defaults to every published locale; locales=none
+// skips the translation check. format=csv returns one row per issue.
+import { withAuth } from "../lib/auth.js";
+import { sendCsv, toCsv } from "../lib/csv.js";
+import { HttpError, sendError } from "../lib/errors.js";
+import {
+  AUDIT_CSV_COLUMNS,
+  auditCsvRows,
+  createSeoAudit,
+  loadSeoAudit,
+  parseAuditTypes,
+  runSeoAudit,
+  seoAuditProgress,
+  seoAuditReport,
+} from "../lib/seo-audit.js";
+import { getShopifyConfig } from "../lib/shopify.js";
+import { checkTargetLocales, getShopLocales } from "../lib/translate.js";
+
+// Leave headroom under the platform's function timeout
+const DEFAULT_TIME_BUDGET_MS = Number(
+  process.env.SEO_AUDIT_TIME_BUDGET_MS || 20000
+);
+const MAX_TIME_BUDGET_MS = 55000;
+
+async function resolveAuditLocales(param) {
+  if (param === "none") return [];
+
+  const shopLocales = await getShopLocales();
+  if (!param) return shopLocales.publishedLocales;
+
+  const locales = [
+    ...new Set(
+      String(param)
+        .split(",")
+        .map((l) => l.trim())
+        .filter(Boolean)
+    ),
+  ];
+  checkTargetLocales(locales, shopLocales);
+  return locales;
+}
+
+async function handler(req, res) {
+  try {
+    if (req.method !== "GET") {
+      return res
+        .status(405)
+        .json({ ok: false, error: "Method not allowed. Use GET." });
+    }
+
+    const startedAt = Date.now();
+    const params = req.query || {};
+    const format = params.format || "json";
+    if (format !== "json" && format !== "csv") {
+      throw new HttpError(400, "'format' must be json or csv");
+    }
+
+    getShopifyConfig();
+
+    let audit;
+    if (params.auditId) {
+      audit = await loadSeoAudit(String(params.auditId));
+    } else {
+      const types = parseAuditTypes(params.types);
+      const locales = await resolveAuditLocales(params.locales);
+      audit = await createSeoAudit({
+        types,
+        locales,
+        createdBy: req.apiKey?.name,
+      });
+    }
+
+    const budget = Math.min(
+      Number(params.timeBudgetMs) || DEFAULT_TIME_BUDGET_MS,
+      MAX_TIME_BUDGET_MS
+    );
+    const run = await runSeoAudit(audit, { deadline: startedAt + budget });
+
+    if (!audit.complete) {
+      return res.status(200).json({
+        ok: true,
+        auditId: audit.id,
+        complete: false,
+        progress: seoAuditProgress(audit),
+        run,
+        next: `GET /api/seo-audit?auditId=${audit.id} to continue`,
+      });
+    }
+
+    const { types, locales } = audit;
+    const { summary, truncated, items } = seoAuditReport(audit);
+
+    if (format === "csv") {
+      const date = new Date().toISOString().slice(0, 10);
+      const csv = toCsv(auditCsvRows(items), AUDIT_CSV_COLUMNS);
+      return sendCsv(res, `seo-audit-${date}.csv`, csv);
+    }
+
+    return res.status(200).json({
+      ok: true,
+      auditId: audit.id,
+      complete: true,
+      generatedAt: new Date().toISOString(),
+      types,
+      locales,
+      score: summary.score,
+      summary,
+      truncated,
+      count: items.length,
+      items,
+    });
+  } catch (err) {
+    return sendError(res, err, "/api/seo-audit");
+  }
+}
+
+export default withAuth("read", handler);
@@ -0,0 +1,75 @@
+// api/shopify-webhook.js
+// Receiver for Shopify webhooks: products/create, products/update,
+// collections/update and articles/create.
+//
+// Not behind an API key: Shopify signs every delivery with the app's secret
+// (SHOPIFY_WEBHOOK_SECRET) and the X-Shopify-Hmac-Sha256 header is checked
+// against the raw body instead. A valid delivery is recorded by its webhook
+// id (redeliveries are dropped) and, unless it's an update this API made
+// itself, its resource is queued for SEO and translation. The work happens
+// in /api/process-webhook-queue so this answers well within Shopify's 5s.
+//
+// Try it locally with a signed fixture: node scripts/send-webhook.js
+import { HttpError, sendError } from "../lib/errors.js";
+import { receiveWebhook, verifyWebhook } from "../lib/webhooks.js";
+
+// The signature covers the exact bytes sent, so the body must not be parsed
+// before it gets here
+export const config = { api: { bodyParser: false } };
+
+// Reads those bytes off the request stream. A runtime that buffered the body
+// first may hand it over as a Buffer or string; one that parsed it anyway
+// leaves nothing to verify, which is a deployment problem, not a bad
+// signature.
+async function readRawBody(req) {
+  if (req.readable) {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(Buffer.from(chunk));
+    if (chunks.length > 0) return Buffer.concat(chunks);
+  }
+
+  if (Buffer.isBuffer(req.body)) return req.body;
+  if (typeof req.body === "string") return Buffer.from(req.body);
+  if (req.body !== undefined && req.body !== null) {
+    throw new HttpError(
+      500,
+      "Webhook body was parsed before the handler ran, so its signature can't be checked. This function needs the raw request body."
+    );
+  }
+  return Buffer.alloc(0);
+}
+
+async function handler(req, res) {
+  try {
+    if (req.method !== "POST") {
+      return res
+        .status(405)
+        .json({ ok: false, error: "Method not allowed. Use POST." });
+    }
+
+    const rawBody = await readRawBody(req);
+    verifyWebhook(rawBody, req.headers["x-shopify-hmac-sha256"]);
+
+    let payload;
+    try {
+      payload = JSON.parse(rawBody.toString("utf8"));
+    } catch (err) {
+      return res.status(400).json({ ok: false, error: "Body is not JSON" });
+    }
+
+    const topic = req.headers["x-shopify-topic"];
+    const delivery = await receiveWebhook({
+      topic,
+      webhookId: req.headers["x-shopify-webhook-id"],
+      shopDomain: req.headers["x-shopify-shop-domain"],
+      payload,
+    });
+
+    // Always 200 once verified, or Shopify keeps retrying ignored deliveries
+    return res.status(200).json({ ok: true, ...delivery });
+  } catch (err) {
+    return sendError(res, err, "/api/shopify-webhook");
+  }
+}
+
+export default handler;
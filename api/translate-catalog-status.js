@@ -0,0 +1,40 @@
+// api/translate-catalog-status.js
+// GET /api/translate-catalog-status                 -> all jobs, newest first
+// GET /api/translate-catalog-status?jobId=abc       -> one job's progress
+// GET /api/translate-catalog-status?jobId=abc&items=failed
+//     -> also list the items with that status (or items=all)
+import { withAuth } from "../lib/auth.js";
+import { sendError } from "../lib/errors.js";
+import { listJobs, loadJob, summarizeJob } from "../lib/translation-jobs.js";
+
+async function handler(req, res) {
+  try {
+    if (req.method !== "GET") {
+      return res
+        .status(405)
+        .json({ ok: false, error: "Method not allowed. Use GET." });
+    }
+
+    const { jobId, items } = req.query || {};
+
+    if (!jobId) {
+      const jobs = (await listJobs()).map(summarizeJob);
+      return res.status(200).json({ ok: true, count: jobs.length, jobs });
+    }
+
+    const job = await loadJob(String(jobId));
+    const response = { ok: true, job: summarizeJob(job) };
+
+    if (items) {
+      response.items = Object.entries(job.items)
+        .filter(([, item]) => items === "all" || item.status === items)
+        .map(([handle, item]) => ({ handle, ...item }));
+    }
+
+    return res.status(200).json(response);
+  } catch (err) {
+    return sendError(res, err, "/api/translate-catalog-status");
+  }
+}
+
+export default withAuth("read", handler);
@@ -0,0 +1,97 @@
+// api/translate-catalog.js
+// Starts or continues a bulk translation job.
+//
+// Start:    POST { filter: { type: "all" | "collection" | "tag" | "handles", value },
+//                  locales: ["ar"], force?: true }
+// Continue: POST { jobId, retryFailed? }
+//
+// Each call works until the time budget runs out and returns the progress.
+// Keep calling with the jobId (e.g. from a cron) until `job.complete` is true.
+import { withAuth } from "../lib/auth.js";
+import { sendError } from "../lib/errors.js";
+import { getLlmConfig } from "../lib/llm.js";
+import { getShopifyConfig } from "../lib/shopify.js";
+import {
+  checkTargetLocales,
+  getShopLocales,
+  parseLocales,
+} from "../lib/translate.js";
+import {
+  createJob,
+  loadJob,
+  parseJobFilter,
+  requeueFailed,
+  runJob,
+  summarizeJob,
+} from "../lib/translation-jobs.js";
+
+// Leave headroom under the platform's function timeout
+const DEFAULT_TIME_BUDGET_MS = Number(
+  process.env.TRANSLATION_JOB_TIME_BUDGET_MS || 20000
+);
+const MAX_TIME_BUDGET_MS = 55000;
+
+async function handler(req, res) {
+  try {
+    if (req.method !== "POST") {
+      return res
+        .status(405)
+        .json({ ok: false, error: "Method not allowed. Use POST." });
+    }
+
+    const startedAt = Date.now();
+    const {
+      jobId,
+      filter,
+      locales = ["ar"],
+      force,
+      retryFailed,
+      timeBudgetMs,
+    } = req.body || {};
+
+    getShopifyConfig();
+    getLlmConfig();
+
+    let job;
+
+    if (jobId) {
+      job = await loadJob(jobId);
+      if (retryFailed) requeueFailed(job);
+    } else {
+      const jobFilter = parseJobFilter(filter);
+      const targetLocales = parseLocales(locales);
+
+      const shopLocales = await getShopLocales();
+      checkTargetLocales(targetLocales, shopLocales);
+
+      job = await createJob({
+        filter: jobFilter,
+        locales: targetLocales,
+        primaryLocale: shopLocales.primaryLocale,
+        force,
+        createdBy: req.apiKey?.name,
+      });
+    }
+
+    const budget = Math.min(
+      Number(timeBudgetMs) || DEFAULT_TIME_BUDGET_MS,
+      MAX_TIME_BUDGET_MS
+    );
+
+    const run = await runJob(job, { deadline: startedAt + budget });
+    const summary = summarizeJob(job);
+
+    return res.status(200).json({
+      ok: true,
+      job: summary,
+      run,
+      next: summary.complete
+        ? null
+        : `POST /api/translate-catalog with { "jobId": "${job.id}" } to continue`,
+    });
+  } catch (err) {
+    return sendError(res, err, "/api/translate-catalog");
+  }
+}
+
+export default withAuth(["ai", "write"], handler);
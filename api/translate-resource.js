@@ -0,0 +1,74 @@
+// api/translate-resource.js
+// Translates any translatable resource, not just products:
+// POST { type: "product" | "collection" | "article" | "blog" | "page",
+//        id?: numeric id or GID, handle?: string, locales?: ["ar"],
+//        force?, mode?: "apply" | "review" }
+//
+// apply (default, needs "write") registers the translations. review puts
+// them in the review queue for a person to approve (see /api/review-queue).
+import { requireScopes, withAuth } from "../lib/auth.js";
+import { sendError } from "../lib/errors.js";
+import { getLlmConfig } from "../lib/llm.js";
+import { parseMode } from "../lib/seo.js";
+import { getShopifyConfig } from "../lib/shopify.js";
+import {
+  checkTargetLocales,
+  getShopLocales,
+  parseLocales,
+  parseResourceType,
+  resolveResourceId,
+  translateResource,
+} from "../lib/translate.js";
+
+async function handler(req, res) {
+  try {
+    if (req.method !== "POST") {
+      return res
+        .status(405)
+        .json({ ok: false, error: "Method not allowed. Use POST." });
+    }
+
+    const {
+      type,
+      id,
+      handle,
+      locales = ["ar"],
+      force = false,
+      mode,
+    } = req.body || {};
+
+    const resourceType = parseResourceType(type);
+    const targetLocales = parseLocales(locales);
+    const runMode = parseMode(mode, ["apply", "review"]);
+    if (runMode === "apply") requireScopes(req, "write");
+
+    if (!id && !handle) {
+      return res
+        .status(400)
+        .json({ ok: false, error: "Missing 'id' or 'handle' in body" });
+    }
+
+    getShopifyConfig();
+    getLlmConfig();
+
+    const shopLocales = await getShopLocales();
+    checkTargetLocales(targetLocales, shopLocales);
+
+    const resourceId = await resolveResourceId(resourceType, { id, handle });
+
+    const result = await translateResource({
+      type: resourceType,
+      resourceId,
+      locales: targetLocales,
+      primaryLocale: shopLocales.primaryLocale,
+      force: Boolean(force),
+      mode: runMode,
+    });
+
+    return res.status(200).json({ ok: true, handle: handle || null, ...result });
+  } catch (err) {
+    return sendError(res, err, "/api/translate-resource");
+  }
+}
+
+export default withAuth("ai", handler);
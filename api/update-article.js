@@ -0,0 +1,52 @@
+// api/update-article.js
+// Partial article update: only the fields present in the body are changed.
+//
+// POST { articleId, title?, bodyHtml?, summaryHtml?, handle?, author?, tags?,
+//        image?: { src | attachment, alt? } | null, seoTitle?, seoDescription?,
+//        published?, publishedAt? }
+//
+// image: null removes the featured image, publishedAt: null clears the date.
+import { buildArticleFields, updateArticle } from "../lib/articles.js";
+import { withAuth } from "../lib/auth.js";
+import { sendError } from "../lib/errors.js";
+import { getShopifyConfig } from "../lib/shopify.js";
+
+async function handler(req, res) {
+  if (req.method !== "POST") {
+    return res
+      .status(405)
+      .json({ ok: false, error: "Method not allowed. Use POST." });
+  }
+
+  try {
+    const { articleId, ...changes } = req.body || {};
+
+    if (!articleId) {
+      return res
+        .status(400)
+        .json({ ok: false, error: "Missing required field: articleId" });
+    }
+
+    const fields = buildArticleFields(changes);
+
+    if (Object.keys(fields).length === 0) {
+      return res
+        .status(400)
+        .json({ ok: false, error: "Nothing to update in body" });
+    }
+
+    getShopifyConfig();
+
+    const article = await updateArticle(articleId, fields);
+
+    return res.status(200).json({
+      ok: true,
+      updated: Object.keys(changes).filter((key) => changes[key] !== undefined),
+      article,
+    });
+  } catch (err) {
+    return sendError(res, err, "/api/update-article");
+  }
+}
+
+export default withAuth("write", handler);
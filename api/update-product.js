@@ -1,8 +1,21 @@
 // api/update-product.js
-
-const SHOPIFY_API_VERSION = "2024-07";
-
-export default async function handler(req, res) {
+// Partial product update: only the fields present in the body are changed.
+//
+// POST { productId, title?, handle?, redirect?: true, descriptionHtml?,
+//        seoTitle?, seoDescription?, vendor?, productType?,
+//        status?: "active" | "draft" | "archived",
+//        tags?: [..], tagsAdd?: [..], tagsRemove?: [..],
+//        metafields?: [{ namespace, key, value, type? }] }
+//
+// Changing the handle adds a URL redirect from the old one unless
+// redirect: false. `type` is only needed for metafields that don't exist yet.
+// The response has a { field: { before, after } } diff.
+import { withAuth } from "../lib/auth.js";
+import { sendError } from "../lib/errors.js";
+import { applyProductChanges } from "../lib/products.js";
+import { getShopifyConfig } from "../lib/shopify.js";
+
+async function handler(req, res) {
   try {
     if (req.method !== "POST") {
       return res
@@ -10,99 +23,28 @@ export default async function handler(req, res) {
         .json({ ok: false, error: "Method not allowed. Use POST." });
     }
 
-    const { productId, descriptionHtml, seoTitle, seoDescription } = req.body || {};
+    const { productId, ...changes } = req.body || {};
 
-    if (!productId || !descriptionHtml) {
+    if (!productId) {
       return res.status(400).json({
         ok: false,
-        error: "Missing required fields: productId and descriptionHtml",
-      });
-    }
-
-    const storeDomain = process.env.SHOPIFY_STORE_DOMAIN;
-    const adminToken = process.env.SHOPIFY_ADMIN_TOKEN;
-
-    if (!storeDomain || !adminToken) {
-      return res.status(500).json({
-        ok: false,
-        error:
-          "Missing environment variables. Check SHOPIFY_STORE_DOMAIN and SHOPIFY_ADMIN_TOKEN.",
-      });
-    }
-
-    const mutation = `
-      mutation productUpdate($input: ProductInput!) {
-        productUpdate(input: $input) {
-          product {
-            id
-            title
-            descriptionHtml
-            seo {
-              title
-              description
-            }
-          }
-          userErrors {
-            field
-            message
-          }
-        }
-      }
-    `;
-
-    const variables = {
-      input: {
-        id: productId,
-        descriptionHtml,
-        seo: {
-          title: seoTitle || null,
-          description: seoDescription || null,
-        },
-      },
-    };
-
-    const shopifyRes = await fetch(
-      `https://${storeDomain}/admin/api/${SHOPIFY_API_VERSION}/graphql.json`,
-      {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          "X-Shopify-Access-Token": adminToken,
-        },
-        body: JSON.stringify({ query: mutation, variables }),
-      }
-    );
-
-    const shopifyJson = await shopifyRes.json();
-
-    if (!shopifyRes.ok || shopifyJson.errors) {
-      console.error("Shopify productUpdate error:", shopifyJson);
-      return res.status(500).json({
-        ok: false,
-        error: "Shopify productUpdate API error",
-        details: shopifyJson.errors || shopifyJson,
+        error: "Missing required field: productId",
       });
     }
 
-    const result = shopifyJson.data?.productUpdate;
-    const userErrors = result?.userErrors || [];
+    getShopifyConfig();
 
-    if (userErrors.length > 0) {
-      return res.status(400).json({
-        ok: false,
-        error: "Shopify productUpdate userErrors",
-        userErrors,
-      });
-    }
+    const { after, diff, changed } = await applyProductChanges(productId, changes);
 
     return res.status(200).json({
       ok: true,
-      product: result?.product || null,
+      changed,
+      diff,
+      product: after,
     });
   } catch (err) {
-    console.error("Unexpected error in /api/update-product:", err);
-    return res
-      .status(500)
-      .json({ ok: false, error: "Unexpected server error" });
+    return sendError(res, err, "/api/update-product");
   }
 }
+
+export default withAuth("write", handler);
@@ -0,0 +1,38 @@
+// api/webhook-queue-status.js
+// GET /api/webhook-queue-status                  -> counts + pending / failed items
+// GET /api/webhook-queue-status?status=all       -> every item (or done, skipped)
+//
+// Shows what /api/shopify-webhook queued and how /api/process-webhook-queue
+// got on with it, without doing any work.
+import { withAuth } from "../lib/auth.js";
+import { sendError } from "../lib/errors.js";
+import { listWebhookQueue, summarizeQueue } from "../lib/webhooks.js";
+
+async function handler(req, res) {
+  try {
+    if (req.method !== "GET") {
+      return res
+        .status(405)
+        .json({ ok: false, error: "Method not allowed. Use GET." });
+    }
+
+    const { status } = req.query || {};
+    const items = await listWebhookQueue();
+    const shown = items.filter((item) =>
+      status
+        ? status === "all" || item.status === status
+        : item.status === "pending" || item.status === "failed"
+    );
+
+    return res.status(200).json({
+      ok: true,
+      counts: summarizeQueue(items),
+      count: shown.length,
+      items: shown,
+    });
+  } catch (err) {
+    return sendError(res, err, "/api/webhook-queue-status");
+  }
+}
+
+export default withAuth("read", handler);
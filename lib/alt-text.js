@@ -0,0 +1,362 @@
+// lib/alt-text.js
+// Product image alt text: spotting missing / weak alt, generating new alt from
+// the product (and optionally the image itself), and writing it back with
+// productUpdateMedia plus translationsRegister for other locales.
+import { auditedWrite } from "./audit-log.js";
+import { HttpError, ShopifyUserError } from "./errors.js";
+import {
+  checkGlossaryTerms,
+  glossaryForText,
+  loadGlossary,
+  protectedTermsFor,
+} from "./glossary.js";
+import { getLocaleConfig } from "./locales.js";
+import { llmJsonChat } from "./llm.js";
+import { shopifyGraphql } from "./shopify.js";
+import { getContentDigests, registerTranslations } from "./translate.js";
+
+// Screen readers cut long alt text off around here
+export const ALT_TEXT_MAX = 125;
+const ALT_TEXT_MIN = 15;
+
+const GENERIC_ALT_RE =
+  /^(image|img|photo|picture|product|product image|watch|untitled)\s*\d*$/i;
+const FILENAME_ALT_RE =
+  /\.(jpe?g|png|gif|webp|avif|heic)$|^(img|dsc|image|photo)[-_ ]?\d+/i;
+
+// Product fields the alt-text prompt uses, plus the images themselves.
+// Non-image media (video, 3D) come back as empty objects and are ignored.
+export const PRODUCT_MEDIA_FIELDS = `
+  id
+  handle
+  title
+  description
+  vendor
+  productType
+  tags
+  media(first: 20) {
+    nodes {
+      ... on MediaImage {
+        id
+        alt
+        image {
+          url
+        }
+      }
+    }
+  }
+`;
+
+// Why an alt text needs replacing, or null when it's fine
+export function altTextProblem(alt, productTitle) {
+  const text = String(alt || "").trim();
+
+  if (!text) return "missing";
+  if (FILENAME_ALT_RE.test(text)) return "filename";
+  if (GENERIC_ALT_RE.test(text)) return "generic";
+  if (text.length < ALT_TEXT_MIN) return "too short";
+  if (text.length > ALT_TEXT_MAX) return "too long";
+  // Shopify themes fall back to the title anyway, so it adds nothing
+  if (productTitle && text.toLowerCase() === productTitle.trim().toLowerCase()) {
+    return "same as product title";
+  }
+  return null;
+}
+
+// The product's images with their current alt and what's wrong with it
+export function productImages(product) {
+  return (product.media?.nodes || [])
+    .filter((m) => m?.id && m.image?.url)
+    .map((m) => ({
+      id: m.id,
+      url: m.image.url,
+      currentAlt: m.alt || null,
+      problem: altTextProblem(m.alt, product.title),
+    }));
+}
+
+// `glossaries` is { locale: glossaryForText(...) } for the product's text,
+// `keep` the do-not-translate terms (they apply with or without locales)
+function buildAltTextPrompt(locales, vision, glossaries = {}, keep = []) {
+  const imageNote = vision
+    ? "The images are attached in the same order; describe what each one actually shows."
+    : "You cannot see the images; go by the product data and the image position (the first image is usually the full watch on a plain background, later ones details, the case back or the watch on the wrist).";
+
+  const translations =
+    locales.length === 0
+      ? ""
+      : `
+TRANSLATIONS:
+Also give each alt text in these locales, same rules and length limit:
+${locales
+  .map((locale) => {
+    const config = getLocaleConfig(locale);
+    const terms = (glossaries[locale]?.terms || [])
+      .map(({ term, translation }) => `"${term}" -> "${translation}"`)
+      .join(", ");
+    const glossary = terms ? ` Always translate ${terms}.` : "";
+    return `- "${locale}": ${config.language}. ${config.style[0]}${glossary}`;
+  })
+  .join("\n")}
+`;
+  const outputShape =
+    locales.length === 0
+      ? '{ "images": [ { "id": string, "alt": string } ] }'
+      : '{ "images": [ { "id": string, "alt": string, "translations": { "<locale>": string } } ] }';
+
+  return `
+You write image alt text for AllCustom, a premium custom watch e-commerce store.
+
+You will receive a product as JSON with a list of its images (id, position, current alt). ${imageNote}
+
+RULES:
+- One sentence fragment per image, at most ${ALT_TEXT_MAX} characters, no trailing period.
+- Describe what is visible (dial colour, case, bezel, strap, angle) so someone who can't see it knows what it shows.
+- Mention the product name once, naturally. Do not start with "Image of" or "Picture of".
+- Keep model codes (NH35, SKX007) and brand names (Seiko, AllCustom) exactly as written.${
+    keep.length ? `\n- Never translate these either: ${keep.join(", ")}` : ""
+  }
+- Never invent details that are neither in the product data nor visible in the image.
+${translations}
+OUTPUT:
+Return a single JSON object: ${outputShape}
+`.trim();
+}
+
+// Returns [{ id, alt, problem, translations, glossaryViolations }] for the
+// given images. `problem` is the generated alt's own check, so callers can
+// refuse weak output; glossary misses in the translations are only reported.
+export async function generateAltTexts({
+  product,
+  images,
+  locales = [],
+  vision = false,
+}) {
+  const glossary = await loadGlossary();
+  const productText = `${product.title}\n${product.description || ""}`;
+  const glossaries = Object.fromEntries(
+    locales.map((locale) => [
+      locale,
+      glossaryForText(glossary, locale, productText),
+    ])
+  );
+
+  const result = await llmJsonChat({
+    task: "alt_text",
+    system: buildAltTextPrompt(
+      locales,
+      vision,
+      glossaries,
+      protectedTermsFor(glossary)
+    ),
+    user: {
+      product: {
+        title: product.title,
+        description: (product.description || "").slice(0, 1500),
+        vendor: product.vendor,
+        productType: product.productType,
+        tags: product.tags,
+      },
+      images: images.map((img) => ({
+        id: img.id,
+        position:
+          (product.media?.nodes || []).findIndex((m) => m.id === img.id) + 1,
+        currentAlt: img.currentAlt,
+      })),
+    },
+    images: vision ? images.map((img) => img.url) : [],
+  });
+
+  const byId = new Map(
+    (Array.isArray(result?.images) ? result.images : [])
+      .filter((r) => typeof r?.id === "string" && typeof r?.alt === "string")
+      .map((r) => [r.id, r])
+  );
+
+  return images.map((img) => {
+    const generated = byId.get(img.id);
+    const alt = generated ? generated.alt.trim() : null;
+    const translations = {};
+    const glossaryViolations = [];
+
+    for (const locale of locales) {
+      const value = generated?.translations?.[locale];
+      if (typeof value === "string" && value.trim()) {
+        translations[locale] = value.trim();
+        for (const violation of checkGlossaryTerms(
+          alt,
+          translations[locale],
+          glossaries[locale].terms
+        )) {
+          glossaryViolations.push({ locale, ...violation });
+        }
+      }
+    }
+
+    return {
+      id: img.id,
+      alt,
+      problem: alt
+        ? altTextProblem(alt, product.title)
+        : "not returned by the model",
+      translations,
+      glossaryViolations,
+    };
+  });
+}
+
+const UPDATE_MEDIA_MUTATION = `
+  mutation productUpdateMedia($productId: ID!, $media: [UpdateMediaInput!]!) {
+    productUpdateMedia(productId: $productId, media: $media) {
+      media {
+        ... on MediaImage {
+          id
+          alt
+        }
+      }
+      mediaUserErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
+// Writes [{ id, alt }] to the product's media. productUpdateMedia reports
+// problems as mediaUserErrors, which shopifyMutation doesn't look at.
+export async function updateMediaAlt(productId, media) {
+  return auditedWrite({
+    resource: { type: "product_media", id: productId },
+    before: () => readMediaAltState(productId, media.map((m) => m.id)),
+    write: async () => {
+      const data = await shopifyGraphql(
+        UPDATE_MEDIA_MUTATION,
+        { productId, media },
+        "running productUpdateMedia"
+      );
+      const result = data?.productUpdateMedia;
+      const errors = result?.mediaUserErrors || [];
+
+      if (errors.length > 0) {
+        throw new ShopifyUserError("productUpdateMedia", errors);
+      }
+      return result?.media || [];
+    },
+    after: Object.fromEntries(media.map((m) => [m.id, m.alt || null])),
+  });
+}
+
+// { mediaId: alt } for the given images, for the audit log
+export async function readMediaAltState(productId, mediaIds) {
+  const query = `
+    query mediaAltState($ids: [ID!]!) {
+      nodes(ids: $ids) {
+        ... on MediaImage {
+          id
+          alt
+        }
+      }
+    }
+  `;
+  const data = await shopifyGraphql(
+    query,
+    { ids: mediaIds },
+    "fetching image alt text"
+  );
+  const byId = new Map(
+    (data?.nodes || []).filter((n) => n?.id).map((n) => [n.id, n.alt || null])
+  );
+
+  const missing = mediaIds.filter((id) => !byId.has(id));
+  if (missing.length > 0) {
+    throw new HttpError(
+      404,
+      `No image found with id(s) ${missing.join(", ")} on product "${productId}"`
+    );
+  }
+  return Object.fromEntries(mediaIds.map((id) => [id, byId.get(id)]));
+}
+
+export function restoreMediaAltState(productId, state) {
+  return updateMediaAlt(
+    productId,
+    Object.entries(state).map(([id, alt]) => ({ id, alt: alt || "" }))
+  );
+}
+
+// Registers { locale: alt } on a MediaImage. Needs the digest of the current
+// (just written) alt, so run it after updateMediaAlt.
+export async function registerAltTranslations(mediaId, translations) {
+  const locales = Object.keys(translations);
+  if (locales.length === 0) return null;
+
+  const digest = (await getContentDigests(mediaId)).alt;
+  if (!digest) {
+    return { userErrors: [{ message: "Image has no translatable alt text" }] };
+  }
+
+  return registerTranslations(
+    mediaId,
+    locales.map((locale) => ({
+      locale,
+      key: "alt",
+      value: translations[locale],
+      translatableContentDigest: digest,
+    }))
+  );
+}
+
+// Finds the product's weak alt texts (every image when `force`), generates
+// replacements and, in apply mode, writes the ones that pass the checks.
+export async function processProductAltText(
+  product,
+  { mode, locales = [], vision = false, force = false }
+) {
+  const images = productImages(product);
+  const targets = images.filter((img) => force || img.problem);
+  const summary = {
+    id: product.id,
+    handle: product.handle,
+    title: product.title,
+    imageCount: images.length,
+  };
+
+  if (targets.length === 0) return { ...summary, images: [] };
+
+  const generated = await generateAltTexts({
+    product,
+    images: targets,
+    locales,
+    vision,
+  });
+  const results = targets.map((img, i) => ({
+    ...img,
+    newAlt: generated[i].alt,
+    newProblem: generated[i].problem,
+    translations: generated[i].translations,
+    glossaryViolations: generated[i].glossaryViolations,
+    status: mode === "apply" && generated[i].problem ? "skipped" : mode,
+  }));
+
+  if (mode !== "apply") return { ...summary, images: results };
+
+  const toWrite = results.filter((r) => !r.newProblem);
+  if (toWrite.length > 0) {
+    await updateMediaAlt(
+      product.id,
+      toWrite.map((r) => ({ id: r.id, alt: r.newAlt }))
+    );
+  }
+
+  for (const r of toWrite) {
+    r.status = "applied";
+    if (Object.keys(r.translations).length === 0) continue;
+
+    const registered = await registerAltTranslations(r.id, r.translations);
+    const userErrors = registered?.userErrors || [];
+    r.translationsStatus = userErrors.length > 0 ? "failed" : "registered";
+    if (userErrors.length > 0) r.translationErrors = userErrors;
+  }
+
+  return { ...summary, images: results };
+}
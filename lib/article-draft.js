@@ -0,0 +1,177 @@
+// lib/article-draft.js
+// AI blog drafts: outline first, then the full article built from it. The
+// outline step keeps long articles on topic and gives the editor something
+// to skim. Used by api/draft-article.js.
+import { HttpError } from "./errors.js";
+import { balanceProblems, tokenizeTags } from "./html-validate.js";
+import { llmJsonChat } from "./llm.js";
+import { getProductContext } from "./products.js";
+import { BRAND_VOICE, SEO_LIMITS, checkSeoLengths } from "./seo.js";
+
+export const MAX_FEATURED_PRODUCTS = 5;
+
+// Tags the theme's article template styles; anything else is flagged
+const ALLOWED_TAGS = [
+  "h2", "h3", "p", "ul", "ol", "li", "strong", "em", "a", "img", "br", "blockquote",
+];
+
+export function parseKeywords(keywords) {
+  if (keywords === undefined || keywords === null || keywords === "") return [];
+  const list = Array.isArray(keywords) ? keywords : String(keywords).split(",");
+  return list.map((k) => String(k).trim()).filter(Boolean);
+}
+
+export function parseFeaturedHandles(handles) {
+  const list = parseKeywords(handles);
+  if (list.length > MAX_FEATURED_PRODUCTS) {
+    throw new HttpError(
+      400,
+      `At most ${MAX_FEATURED_PRODUCTS} featured products per article`
+    );
+  }
+  return list;
+}
+
+// Storefront-relative so the links work on any domain the shop is served from
+export function productUrl(handle) {
+  return `/products/${handle}`;
+}
+
+export async function loadFeaturedProducts(handles) {
+  const products = [];
+
+  for (const handle of handles) {
+    const product = await getProductContext({ handle });
+    const image = product.images?.nodes?.[0] || null;
+
+    products.push({
+      handle: product.handle,
+      title: product.title,
+      vendor: product.vendor,
+      productType: product.productType,
+      description: (product.description || "").slice(0, 600),
+      url: productUrl(product.handle),
+      image: image ? { src: image.url, alt: image.altText || product.title } : null,
+    });
+  }
+
+  return products;
+}
+
+const SHARED_RULES = `
+BRAND VOICE:
+${BRAND_VOICE.map((rule) => `- ${rule}`).join("\n")}
+
+ACCURACY:
+- Never invent specs, prices, stock levels, offers or quotes.
+- Only state product facts that appear in the featured products' data.
+`.trim();
+
+function buildOutlinePrompt() {
+  return `
+You are a content writer for AllCustom, a premium custom watch e-commerce store, planning a blog article.
+
+You will receive JSON with a topic, target keywords and (optionally) featured products.
+
+Plan an article of 800-1200 words with 4-7 sections. Work the target keywords in naturally; the primary keyword belongs in the title and the first section. Give every featured product a section where it fits naturally.
+
+${SHARED_RULES}
+
+OUTPUT:
+Return a single JSON object:
+{ "title": string, "sections": [ { "heading": string, "points": [string], "featuredProducts": [handle] } ] }
+`.trim();
+}
+
+function buildArticlePrompt() {
+  return `
+You are a content writer for AllCustom, a premium custom watch e-commerce store.
+
+You will receive JSON with a topic, target keywords, featured products and an approved outline. Write the full article following the outline.
+
+HTML RULES for bodyHtml:
+- Only these tags: ${ALLOWED_TAGS.join(", ")}. No <h1> (the theme renders the title), no inline styles, no classes, no scripts.
+- One <h2> per outline section.
+- Link every featured product at least once with <a href="{url}">, using its exact url.
+- Show each featured product's image once with <img src="{image.src}" alt="{image.alt}">, using the exact values, when it has one.
+
+OTHER FIELDS:
+- summaryHtml: one or two sentences in a single <p>, for the blog listing.
+- tags: 3-6 short lowercase blog tags.
+- seoTitle: ${SEO_LIMITS.title.min}-${SEO_LIMITS.title.max} characters. seoDescription: ${SEO_LIMITS.description.min}-${SEO_LIMITS.description.max} characters.
+
+${SHARED_RULES}
+
+OUTPUT:
+Return a single JSON object:
+{ "title": string, "bodyHtml": string, "summaryHtml": string, "tags": [string], "seoTitle": string, "seoDescription": string }
+`.trim();
+}
+
+// Problems an editor should look at before publishing. None of them block
+// saving the draft; that's what the review step is for.
+export function checkDraft(draft, products) {
+  const tags = tokenizeTags(draft.bodyHtml);
+  const issues = [];
+
+  const disallowed = [...new Set(tags.map((t) => t.name))].filter(
+    (name) => !ALLOWED_TAGS.includes(name)
+  );
+  if (disallowed.length) issues.push(`disallowed tags: ${disallowed.join(", ")}`);
+  issues.push(...balanceProblems(tags));
+
+  const hrefs = tags.filter((t) => t.name === "a").map((t) => t.attrs.href);
+  const srcs = tags.filter((t) => t.name === "img").map((t) => t.attrs.src);
+
+  for (const product of products) {
+    if (!hrefs.includes(product.url)) {
+      issues.push(`no link to featured product ${product.handle}`);
+    }
+    if (product.image && !srcs.includes(product.image.src)) {
+      issues.push(`no image of featured product ${product.handle}`);
+    }
+  }
+
+  const seo = checkSeoLengths(draft);
+  issues.push(...seo.issues.map((issue) => `SEO ${issue}`));
+
+  return { ok: issues.length === 0, issues, seo };
+}
+
+export async function draftArticle({ topic, keywords, products }) {
+  const input = { topic, keywords, featuredProducts: products };
+
+  const outline = await llmJsonChat({
+    task: "drafting",
+    system: buildOutlinePrompt(),
+    user: input,
+  });
+  if (!Array.isArray(outline?.sections) || outline.sections.length === 0) {
+    throw new HttpError(500, "The model returned no usable outline", { raw: outline });
+  }
+
+  const result = await llmJsonChat({
+    task: "drafting",
+    system: buildArticlePrompt(),
+    user: { ...input, outline },
+  });
+
+  const draft = {
+    title: String(result?.title || outline.title || "").trim(),
+    bodyHtml: String(result?.bodyHtml || "").trim(),
+    summaryHtml: String(result?.summaryHtml || "").trim(),
+    tags: (Array.isArray(result?.tags) ? result.tags : [])
+      .map((t) => String(t).trim())
+      .filter(Boolean),
+    seoTitle: String(result?.seoTitle || "").trim(),
+    seoDescription: String(result?.seoDescription || "").trim(),
+  };
+
+  if (!draft.title || !draft.bodyHtml) {
+    throw new HttpError(500, "The model returned an article without title or body", {
+      raw: result,
+    });
+  }
+
+  return { outline, draft, checks: checkDraft(draft, products) };
+}
@@ -0,0 +1,333 @@
+// lib/articles.js
+// Blog article reads/writes shared by the article endpoints. Writes use REST
+// (like create-article / update-article-seo always have) because it takes the
+// SEO metafields directly.
+import { auditedWrite, pickState } from "./audit-log.js";
+import { HttpError } from "./errors.js";
+import { stripTags } from "./html-validate.js";
+import { numericId, shopifyGraphql, shopifyRest } from "./shopify.js";
+
+// How much of the body we send to the model as context
+const BODY_CONTEXT_CHARS = 4000;
+
+export function articleGid(id) {
+  return `gid://shopify/Article/${numericId(id)}`;
+}
+
+// Turns our camelCase body fields into REST article fields. Only keys that
+// are present are sent, so the same mapping serves create and partial update;
+// null clears a field (e.g. image: null removes the featured image).
+export function buildArticleFields(input = {}) {
+  const fields = {};
+  const set = (key, restKey, value = input[key]) => {
+    if (input[key] !== undefined) fields[restKey] = value;
+  };
+
+  set("title", "title");
+  set("bodyHtml", "body_html");
+  set("summaryHtml", "summary_html");
+  set("author", "author");
+  set("seoTitle", "metafields_global_title_tag", input.seoTitle || null);
+  set(
+    "seoDescription",
+    "metafields_global_description_tag",
+    input.seoDescription || null
+  );
+
+  if (input.handle !== undefined) {
+    if (!/^[a-z0-9][a-z0-9-]*$/.test(String(input.handle))) {
+      throw new HttpError(
+        400,
+        "'handle' must be lowercase letters, digits and dashes"
+      );
+    }
+    fields.handle = input.handle;
+  }
+
+  if (input.tags !== undefined) {
+    fields.tags = Array.isArray(input.tags)
+      ? input.tags.join(", ")
+      : String(input.tags || "");
+  }
+
+  if (input.image !== undefined) fields.image = parseArticleImage(input.image);
+
+  if (input.published !== undefined) {
+    if (typeof input.published !== "boolean") {
+      throw new HttpError(400, "'published' must be true or false");
+    }
+    fields.published = input.published;
+  }
+
+  // A future publishedAt schedules the article; Shopify shows it from then on
+  if (input.publishedAt !== undefined) {
+    fields.published_at = parsePublishedAt(input.publishedAt);
+  }
+
+  return fields;
+}
+
+// { src, alt } for an image already online, or { attachment, filename, alt }
+// with base64 data for an upload
+function parseArticleImage(image) {
+  if (image === null) return null;
+
+  if (typeof image !== "object" || (!image.src && !image.attachment)) {
+    throw new HttpError(
+      400,
+      "'image' must be null or an object with 'src' or 'attachment'"
+    );
+  }
+
+  const restImage = image.src
+    ? { src: image.src }
+    : { attachment: image.attachment };
+  if (image.filename) restImage.filename = image.filename;
+  if (image.alt !== undefined) restImage.alt = image.alt;
+  return restImage;
+}
+
+function parsePublishedAt(value) {
+  if (value === null) return null;
+  const date = new Date(value);
+  if (typeof value !== "string" || Number.isNaN(date.getTime())) {
+    throw new HttpError(400, "'publishedAt' must be an ISO 8601 date or null");
+  }
+  return date.toISOString();
+}
+
+// REST answers a bad id with 404 and invalid input with 422; pass those on
+// as such instead of the generic 500 ShopifyError
+function rethrowArticleError(err, articleId) {
+  const status = err?.extra?.status;
+  if (status === 404) {
+    throw new HttpError(404, `No article found with id "${articleId}"`);
+  }
+  if (status === 422) {
+    throw new HttpError(422, "Shopify rejected the article", {
+      details: err.extra.details,
+    });
+  }
+  throw err;
+}
+
+// POST blogs/{blogId}/articles.json with the given REST article fields
+export async function createArticle(blogId, fields) {
+  return auditedWrite({
+    resource: (article) => ({
+      type: "article",
+      id: String(article?.id),
+      blogId: numericId(blogId),
+    }),
+    action: "create",
+    write: async () => {
+      try {
+        const { data } = await shopifyRest(
+          "POST",
+          `blogs/${numericId(blogId)}/articles.json`,
+          { article: fields },
+          "creating article"
+        );
+        return data?.article || null;
+      } catch (err) {
+        if (err?.extra?.status === 404) {
+          throw new HttpError(404, `No blog found with id "${blogId}"`);
+        }
+        return rethrowArticleError(err, null);
+      }
+    },
+    after: articleFieldsState(fields),
+  });
+}
+
+// PUT articles/{id}.json with the given REST article fields
+export async function updateArticle(articleId, fields) {
+  const id = numericId(articleId);
+  const after = articleFieldsState(fields);
+
+  return auditedWrite({
+    resource: { type: "article", id },
+    before: async () =>
+      (await readArticleState(articleId, Object.keys(after))).state,
+    write: async () => {
+      try {
+        const { data } = await shopifyRest(
+          "PUT",
+          `articles/${id}.json`,
+          { article: { id: Number(id), ...fields } },
+          "updating article"
+        );
+        return data?.article || null;
+      } catch (err) {
+        return rethrowArticleError(err, articleId);
+      }
+    },
+    after,
+  });
+}
+
+// The whole article goes into the audit log first so a revert can recreate it
+export async function deleteArticle(articleId) {
+  const id = numericId(articleId);
+  const { blogId, state } = await readArticleState(articleId);
+
+  return auditedWrite({
+    resource: { type: "article", id, blogId },
+    action: "delete",
+    before: () => state,
+    write: async () => {
+      try {
+        await shopifyRest(
+          "DELETE",
+          `articles/${id}.json`,
+          null,
+          "deleting article"
+        );
+      } catch (err) {
+        rethrowArticleError(err, articleId);
+      }
+    },
+  });
+}
+
+// ---- Audit log / revert ----
+
+// Every REST field a revert can write back
+const ARTICLE_STATE_KEYS = [
+  "title",
+  "body_html",
+  "summary_html",
+  "author",
+  "handle",
+  "tags",
+  "published",
+  "published_at",
+  "image",
+  "metafields_global_title_tag",
+  "metafields_global_description_tag",
+];
+
+// REST fields as sent, minus uploaded image data (too big to log, and a
+// revert restores images by src anyway)
+function articleFieldsState(fields) {
+  const state = { ...fields };
+  if (state.image?.attachment) {
+    const { attachment, ...image } = state.image;
+    state.image = image;
+  }
+  return state;
+}
+
+// The article's current values for the given REST field names, plus the
+// blog it belongs to
+export async function readArticleState(articleId, keys = ARTICLE_STATE_KEYS) {
+  let article;
+  try {
+    const { data } = await shopifyRest(
+      "GET",
+      `articles/${numericId(articleId)}.json`,
+      null,
+      "fetching article"
+    );
+    article = data?.article;
+  } catch (err) {
+    rethrowArticleError(err, articleId);
+  }
+  if (!article) {
+    throw new HttpError(404, `No article found with id "${articleId}"`);
+  }
+
+  const state = {
+    title: article.title,
+    body_html: article.body_html,
+    summary_html: article.summary_html,
+    author: article.author,
+    handle: article.handle,
+    tags: article.tags,
+    published: Boolean(article.published_at),
+    published_at: article.published_at,
+    image: article.image
+      ? { src: article.image.src, alt: article.image.alt || null }
+      : null,
+  };
+
+  // REST doesn't return the SEO metafields with the article
+  if (keys.some((key) => key.startsWith("metafields_global_"))) {
+    const query = `
+      query articleSeoState($id: ID!) {
+        article(id: $id) {
+          seoTitle: metafield(namespace: "global", key: "title_tag") {
+            value
+          }
+          seoDescription: metafield(namespace: "global", key: "description_tag") {
+            value
+          }
+        }
+      }
+    `;
+    const seo = (
+      await shopifyGraphql(
+        query,
+        { id: articleGid(articleId) },
+        "fetching article SEO"
+      )
+    )?.article;
+    state.metafields_global_title_tag = seo?.seoTitle?.value || null;
+    state.metafields_global_description_tag = seo?.seoDescription?.value || null;
+  }
+
+  return { blogId: String(article.blog_id), state: pickState(state, keys) };
+}
+
+// The SEO title/description live in the "global" metafields
+export const ARTICLE_CONTEXT_FIELDS = `
+  id
+  handle
+  title
+  body
+  tags
+  blog {
+    id
+    title
+  }
+  seoTitle: metafield(namespace: "global", key: "title_tag") {
+    value
+  }
+  seoDescription: metafield(namespace: "global", key: "description_tag") {
+    value
+  }
+`;
+
+export async function getArticleContext(articleId) {
+  if (!articleId) {
+    throw new HttpError(400, "Missing 'articleId'");
+  }
+
+  const query = `
+    query articleContext($id: ID!) {
+      article(id: $id) { ${ARTICLE_CONTEXT_FIELDS} }
+    }
+  `;
+
+  const article = (
+    await shopifyGraphql(query, { id: articleGid(articleId) }, "fetching article")
+  )?.article;
+
+  if (!article) {
+    throw new HttpError(404, `No article found with id "${articleId}"`);
+  }
+
+  return article;
+}
+
+// The JSON we hand the model for an article
+export function articleSeoContext(article) {
+  const text = stripTags(article.body).replace(/\s+/g, " ").trim();
+
+  return {
+    title: article.title,
+    blog: article.blog?.title || null,
+    tags: article.tags,
+    body: text.slice(0, BODY_CONTEXT_CHARS),
+  };
+}
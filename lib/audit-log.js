@@ -0,0 +1,230 @@
+// lib/audit-log.js
+// Append-only log of every write to the store: who made it, when, through
+// which endpoint and why, plus the values before and after. The write helpers
+// in lib/ (updateProduct, updateArticle, registerTranslations, ...) record
+// themselves through auditedWrite(), so endpoints get this for free.
+//
+// Entries go to DATA_DIR/audit/<yyyy-mm>.jsonl, one JSON object per line:
+//   { id, batchId, at, who, endpoint, reason, revertOf,
+//     resource: { type, id, ... }, action, before, after }
+// `before` / `after` are flat { field: value } maps of only the fields the
+// write touched (null for the side of a create / delete that doesn't exist).
+// A batch is everything one API request wrote.
+import { AsyncLocalStorage } from "async_hooks";
+import crypto from "crypto";
+import { HttpError } from "./errors.js";
+import { numericId } from "./shopify.js";
+import {
+  appendJsonLine,
+  isValidStoreId,
+  listJson,
+  readJsonLines,
+} from "./store.js";
+
+export const AUDIT_RESOURCE_TYPES = [
+  "product",
+  "collection",
+  "article",
+  "translation",
+  "product_media",
+];
+
+const MAX_REASON_CHARS = 500;
+const DEFAULT_HISTORY_LIMIT = 50;
+const MAX_HISTORY_LIMIT = 500;
+
+const requestContext = new AsyncLocalStorage();
+
+// Ids start with the time in base 36 so they sort by age and tell us which
+// month's file holds them
+function newEntryId(at) {
+  return `${at.getTime().toString(36)}-${crypto.randomBytes(4).toString("hex")}`;
+}
+
+function newBatchId() {
+  return crypto.randomBytes(8).toString("hex");
+}
+
+function logName(date) {
+  return `audit/${date.toISOString().slice(0, 7)}`;
+}
+
+// Who / why for the writes made while handling `req`. The reason comes from
+// body.reason or the X-Change-Reason header.
+export function auditContextFromRequest(req) {
+  const body = req.body && typeof req.body === "object" ? req.body : {};
+  const reason =
+    typeof body.reason === "string"
+      ? body.reason
+      : req.headers?.["x-change-reason"];
+
+  return {
+    who: req.apiKey?.name || null,
+    endpoint: String(req.url || "").split("?")[0] || null,
+    reason: reason ? String(reason).trim().slice(0, MAX_REASON_CHARS) : null,
+    batchId: newBatchId(),
+  };
+}
+
+// Runs `fn` with `context` attached to every write it makes, however deep
+export function runWithAuditContext(context, fn) {
+  return requestContext.run(context, fn);
+}
+
+export function getAuditContext() {
+  return requestContext.getStore() || null;
+}
+
+// Reads the current state with `before()`, runs `write()` and logs both
+// sides. `resource` and `after` may be functions of the write's result (a
+// create only learns its id from the response); an update whose `after`
+// comes back null wrote nothing and isn't logged. A failure to log doesn't
+// undo the write; the entry is printed instead so it isn't lost.
+export async function auditedWrite({
+  resource,
+  action = "update",
+  before,
+  write,
+  after,
+}) {
+  const beforeState = before ? await before() : null;
+  const result = await write();
+
+  const afterState = typeof after === "function" ? after(result) : after ?? null;
+  if (action === "update" && afterState === null) return result;
+
+  const context = getAuditContext() || { batchId: newBatchId() };
+  const at = new Date();
+  const entry = {
+    id: newEntryId(at),
+    batchId: context.batchId,
+    at: at.toISOString(),
+    who: context.who || null,
+    endpoint: context.endpoint || null,
+    reason: context.reason || null,
+    revertOf: context.revertOf || null,
+    resource: typeof resource === "function" ? resource(result) : resource,
+    action,
+    before: beforeState,
+    after: afterState,
+  };
+
+  try {
+    await appendJsonLine(logName(at), entry);
+  } catch (err) {
+    console.error("[audit] could not record write:", JSON.stringify(entry), err);
+  }
+  return result;
+}
+
+// Only keeps the keys of `state` listed in `keys`
+export function pickState(state, keys) {
+  return Object.fromEntries(keys.map((key) => [key, state[key] ?? null]));
+}
+
+export async function getAuditEntry(entryId) {
+  const time = parseInt(String(entryId).split("-")[0], 36);
+  if (!isValidStoreId(entryId) || !Number.isFinite(time)) {
+    throw new HttpError(400, "Invalid 'entryId'");
+  }
+
+  const entries = await readJsonLines(logName(new Date(time)));
+  const entry = entries.find((e) => e.id === entryId);
+  if (!entry) {
+    throw new HttpError(404, `No audit entry with id "${entryId}"`);
+  }
+  return entry;
+}
+
+export function parseHistoryQuery(query = {}) {
+  const {
+    resource_type: resourceType,
+    resource_id: resourceId,
+    batch_id: batchId,
+    who,
+    since,
+    until,
+    limit,
+  } = query;
+
+  if (resourceType && !AUDIT_RESOURCE_TYPES.includes(resourceType)) {
+    throw new HttpError(
+      400,
+      `'resource_type' must be one of: ${AUDIT_RESOURCE_TYPES.join(", ")}`
+    );
+  }
+
+  const dates = {};
+  for (const [name, value] of Object.entries({ since, until })) {
+    if (!value) continue;
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      throw new HttpError(400, `'${name}' must be an ISO date`);
+    }
+    dates[name] = date.toISOString();
+  }
+
+  let max = DEFAULT_HISTORY_LIMIT;
+  if (limit !== undefined && limit !== "") {
+    max = Number(limit);
+    if (!Number.isInteger(max) || max < 1 || max > MAX_HISTORY_LIMIT) {
+      throw new HttpError(
+        400,
+        `'limit' must be a whole number between 1 and ${MAX_HISTORY_LIMIT}`
+      );
+    }
+  }
+
+  return {
+    resourceType: resourceType || null,
+    resourceId: resourceId ? String(resourceId) : null,
+    batchId: batchId ? String(batchId) : null,
+    who: who ? String(who) : null,
+    since: dates.since || null,
+    until: dates.until || null,
+    limit: max,
+  };
+}
+
+// Resource ids are matched on their numeric part so "123" finds
+// "gid://shopify/Product/123" too
+function matchesFilter(entry, filter) {
+  if (filter.resourceType && entry.resource?.type !== filter.resourceType) {
+    return false;
+  }
+  if (
+    filter.resourceId &&
+    numericId(String(entry.resource?.id)) !== numericId(filter.resourceId)
+  ) {
+    return false;
+  }
+  if (filter.batchId && entry.batchId !== filter.batchId) return false;
+  if (filter.who && entry.who !== filter.who) return false;
+  if (filter.since && entry.at < filter.since) return false;
+  if (filter.until && entry.at > filter.until) return false;
+  return true;
+}
+
+// Newest first; `truncated` when more entries matched than `limit`
+export async function listAuditEntries(filter) {
+  const files = (await listJson("audit", ".jsonl")).sort().reverse();
+  const entries = [];
+
+  for (const file of files) {
+    // Files are per month, so whole months after `until` / before `since`
+    // can be skipped without reading them
+    const month = file.slice("audit/".length);
+    if (filter.since && month < filter.since.slice(0, 7)) break;
+    if (filter.until && month > filter.until.slice(0, 7)) continue;
+
+    const lines = await readJsonLines(file);
+    for (const entry of lines.reverse()) {
+      if (!matchesFilter(entry, filter)) continue;
+      if (entries.length === filter.limit) {
+        return { entries, truncated: true };
+      }
+      entries.push(entry);
+    }
+  }
+  return { entries, truncated: false };
+}
@@ -0,0 +1,154 @@
+// lib/auth.js
+// Shared bearer-key authentication for every endpoint in api/.
+//
+// Keys are configured with the API_KEYS env variable: a comma-separated list
+// of name:key:scopes entries, where scopes are separated by "|" and default
+// to read. A key containing ":" needs the scopes field. Example:
+//
+//   API_KEYS="seo-sheet:k_abc123:read|write,translator:k_def456:read|write|ai"
+//
+// Scopes:
+//   read  - list / read endpoints
+//   write - anything that changes the live store
+//   ai    - anything that spends LLM budget
+//   *     - every scope
+
+import crypto from "crypto";
+import { auditContextFromRequest, runWithAuditContext } from "./audit-log.js";
+import { HttpError } from "./errors.js";
+
+export const SCOPES = ["read", "write", "ai"];
+
+function parseApiKeys(raw) {
+  const keys = [];
+
+  for (const entry of String(raw || "").split(",")) {
+    const trimmed = entry.trim();
+    if (!trimmed) continue;
+
+    // name is up to the first ":" and scopes after the last, so a key may
+    // itself contain ":" as long as the entry spells out its scopes
+    const first = trimmed.indexOf(":");
+    const last = trimmed.lastIndexOf(":");
+    const name = first === -1 ? "" : trimmed.slice(0, first);
+    const key =
+      last > first ? trimmed.slice(first + 1, last) : trimmed.slice(first + 1);
+    const scopeList = last > first ? trimmed.slice(last + 1) : "";
+    if (!name || !key) {
+      console.warn("Ignoring malformed API_KEYS entry (expected name:key:scopes)");
+      continue;
+    }
+
+    const scopes = String(scopeList || "read")
+      .split("|")
+      .map((s) => s.trim())
+      .filter(Boolean);
+    const unknown = scopes.filter((s) => s !== "*" && !SCOPES.includes(s));
+    if (unknown.length > 0) {
+      console.warn(
+        `API_KEYS entry "${name}" has unknown scope(s): ${unknown.join(", ")}`
+      );
+    }
+
+    keys.push({ name, key, scopes });
+  }
+
+  return keys;
+}
+
+// Hash both sides first so timingSafeEqual always gets equal-length buffers
+function safeEqual(a, b) {
+  const ha = crypto.createHash("sha256").update(String(a)).digest();
+  const hb = crypto.createHash("sha256").update(String(b)).digest();
+  return crypto.timingSafeEqual(ha, hb);
+}
+
+function getBearerToken(req) {
+  const header = req.headers?.authorization || "";
+  const match = /^Bearer\s+(.+)$/i.exec(header.trim());
+  return match ? match[1].trim() : null;
+}
+
+function hasScopes(apiKey, required) {
+  if (apiKey.scopes.includes("*")) return true;
+  return required.every((scope) => apiKey.scopes.includes(scope));
+}
+
+// Returns { ok: true, apiKey } or { ok: false, status, error }
+export function authenticate(req, requiredScopes = []) {
+  const keys = parseApiKeys(process.env.API_KEYS);
+
+  if (keys.length === 0) {
+    return {
+      ok: false,
+      status: 500,
+      error: "API keys are not configured on the server. Check API_KEYS.",
+    };
+  }
+
+  const token = getBearerToken(req);
+  if (!token) {
+    return {
+      ok: false,
+      status: 401,
+      error: "Missing API key. Send 'Authorization: Bearer <key>'.",
+    };
+  }
+
+  // Compare against every key so the response time doesn't leak which one matched
+  let match = null;
+  for (const apiKey of keys) {
+    if (safeEqual(token, apiKey.key) && !match) match = apiKey;
+  }
+
+  if (!match) {
+    return { ok: false, status: 401, error: "Invalid API key" };
+  }
+
+  if (!hasScopes(match, requiredScopes)) {
+    return {
+      ok: false,
+      status: 403,
+      error: `API key "${match.name}" is missing required scope(s): ${requiredScopes.join(", ")}`,
+    };
+  }
+
+  return { ok: true, apiKey: { name: match.name, scopes: match.scopes } };
+}
+
+// For handlers whose scope depends on the request (e.g. preview vs apply).
+// Throws a 403 HttpError unless req.apiKey holds every scope.
+export function requireScopes(req, scopes) {
+  const requiredScopes = Array.isArray(scopes) ? scopes : [scopes];
+
+  if (!req.apiKey || !hasScopes(req.apiKey, requiredScopes)) {
+    throw new HttpError(
+      403,
+      `API key "${req.apiKey?.name}" is missing required scope(s): ${requiredScopes.join(", ")}`
+    );
+  }
+}
+
+// Wraps an api/ handler so it only runs for callers holding the given scope(s).
+// The authenticated key is available to the handler as req.apiKey, and every
+// write the handler makes is logged under it (see lib/audit-log.js).
+export function withAuth(scopes, handler) {
+  const requiredScopes = Array.isArray(scopes) ? scopes : [scopes];
+
+  return async function authenticatedHandler(req, res) {
+    const result = authenticate(req, requiredScopes);
+
+    if (!result.ok) {
+      if (result.status === 401) {
+        res.setHeader("WWW-Authenticate", 'Bearer realm="allcustom-api"');
+      }
+      return res.status(result.status).json({ ok: false, error: result.error });
+    }
+
+    req.apiKey = result.apiKey;
+
+    return runWithAuditContext(auditContextFromRequest(req), () =>
+      handler(req, res)
+    );
+  };
+}
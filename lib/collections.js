@@ -0,0 +1,187 @@
+// lib/collections.js
+// Collection reads/writes shared by update-collection-seo and the AI SEO endpoints.
+import { auditedWrite, pickState } from "./audit-log.js";
+import { HttpError } from "./errors.js";
+import { shopifyGraphql, shopifyMutation } from "./shopify.js";
+
+const COLLECTION_UPDATE_MUTATION = `
+  mutation collectionUpdate($input: CollectionInput!) {
+    collectionUpdate(input: $input) {
+      collection {
+        id
+        title
+        handle
+        seo {
+          title
+          description
+        }
+      }
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
+export function collectionGid(id) {
+  return String(id).startsWith("gid://") ? String(id) : `gid://shopify/Collection/${id}`;
+}
+
+// Runs collectionUpdate and returns the updated collection. The fields
+// `input` sets are recorded in the audit log.
+export async function updateCollection(input) {
+  const after = collectionInputState(input);
+
+  return auditedWrite({
+    resource: { type: "collection", id: collectionGid(input.id) },
+    before: () => readCollectionState(input.id, Object.keys(after)),
+    write: async () => {
+      const result = await shopifyMutation(
+        COLLECTION_UPDATE_MUTATION,
+        { input },
+        "collectionUpdate"
+      );
+      return result?.collection || null;
+    },
+    after,
+  });
+}
+
+// ---- Audit log / revert ----
+
+const STATE_FIELDS = ["title", "handle", "descriptionHtml"];
+
+function collectionInputState(input) {
+  const state = {};
+  for (const field of STATE_FIELDS) {
+    if (input[field] !== undefined) state[field] = input[field];
+  }
+  if (input.seo !== undefined) {
+    state.seoTitle = input.seo?.title || null;
+    state.seoDescription = input.seo?.description || null;
+  }
+  return state;
+}
+
+// The collection's current values for the given audit state keys
+export async function readCollectionState(collectionId, keys) {
+  const query = `
+    query collectionState($id: ID!) {
+      collection(id: $id) {
+        title
+        handle
+        descriptionHtml
+        seo {
+          title
+          description
+        }
+      }
+    }
+  `;
+  const collection = (
+    await shopifyGraphql(
+      query,
+      { id: collectionGid(collectionId) },
+      "fetching collection"
+    )
+  )?.collection;
+
+  if (!collection) {
+    throw new HttpError(404, `No collection found with id "${collectionId}"`);
+  }
+
+  return pickState(
+    {
+      title: collection.title,
+      handle: collection.handle,
+      descriptionHtml: collection.descriptionHtml,
+      seoTitle: collection.seo?.title || null,
+      seoDescription: collection.seo?.description || null,
+    },
+    keys
+  );
+}
+
+export async function restoreCollectionState(collectionId, state) {
+  const input = { id: collectionGid(collectionId) };
+  for (const field of STATE_FIELDS) {
+    if (state[field] !== undefined) input[field] = state[field];
+  }
+  if (state.seoTitle !== undefined || state.seoDescription !== undefined) {
+    input.seo = {
+      title: state.seoTitle ?? null,
+      description: state.seoDescription ?? null,
+    };
+  }
+  return updateCollection(input);
+}
+
+// Fields the AI endpoints use as context; a sample of products says more
+// about a collection than its (often empty) description
+export const COLLECTION_CONTEXT_FIELDS = `
+  id
+  handle
+  title
+  description
+  seo {
+    title
+    description
+  }
+  productsCount {
+    count
+  }
+  products(first: 15) {
+    nodes {
+      title
+      productType
+      vendor
+    }
+  }
+`;
+
+export async function getCollectionContext({ collectionId, handle }) {
+  let collection;
+
+  if (collectionId) {
+    const query = `
+      query collectionContext($id: ID!) {
+        collection(id: $id) { ${COLLECTION_CONTEXT_FIELDS} }
+      }
+    `;
+    collection = (
+      await shopifyGraphql(query, { id: collectionGid(collectionId) }, "fetching collection")
+    )?.collection;
+  } else if (handle) {
+    const query = `
+      query collectionContext($handle: String!) {
+        collection: collectionByHandle(handle: $handle) { ${COLLECTION_CONTEXT_FIELDS} }
+      }
+    `;
+    collection = (await shopifyGraphql(query, { handle }, "fetching collection"))
+      ?.collection;
+  } else {
+    throw new HttpError(400, "Provide either 'collectionId' or 'handle'");
+  }
+
+  if (!collection) {
+    const lookup = collectionId ? `id "${collectionId}"` : `handle "${handle}"`;
+    throw new HttpError(404, `No collection found with ${lookup}`);
+  }
+
+  return collection;
+}
+
+// The JSON we hand the model for a collection
+export function collectionSeoContext(collection) {
+  return {
+    title: collection.title,
+    description: collection.description,
+    productCount: collection.productsCount?.count ?? null,
+    sampleProducts: (collection.products?.nodes || []).map((p) => ({
+      title: p.title,
+      productType: p.productType,
+      vendor: p.vendor,
+    })),
+  };
+}
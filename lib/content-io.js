@@ -0,0 +1,495 @@
+// lib/content-io.js
+// Spreadsheet round trip for SEO / translation copy: export products,
+// collections and articles to rows, and import edited rows back with a
+// dry-run diff first. Used by api/export-content.js and api/import-content.js.
+//
+// One row per item: type, id, handle, title, seoTitle, seoDescription,
+// description, plus "<field>:<locale>" columns for translations.
+import { buildArticleFields, updateArticle } from "./articles.js";
+import { updateCollection } from "./collections.js";
+import { HttpError } from "./errors.js";
+import {
+  checkGlossaryTerms,
+  glossaryForText,
+  loadGlossary,
+  protectedTermsFor,
+} from "./glossary.js";
+import { validateTranslation } from "./html-validate.js";
+import { paginate } from "./pagination.js";
+import { updateProduct } from "./products.js";
+import { checkSeoLengths } from "./seo.js";
+import { numericId, shopifyGraphql } from "./shopify.js";
+import {
+  listTranslatableResources,
+  registerTranslations,
+  toResourceId,
+} from "./translate.js";
+
+export const CONTENT_TYPES = ["product", "collection", "article"];
+
+// Column -> translatable content key
+export const CONTENT_FIELDS = {
+  title: "title",
+  seoTitle: "meta_title",
+  seoDescription: "meta_description",
+  description: "body_html",
+};
+
+const FIELD_NAMES = Object.keys(CONTENT_FIELDS);
+
+// Big enough for a spreadsheet session. A file that doesn't fit in one
+// function run is finished over several calls (see importContent).
+export const MAX_IMPORT_ROWS = 200;
+
+// Line numbers as a spreadsheet shows them: the header is line 1
+export const FIRST_LINE = 2;
+
+const SOURCES = {
+  product: {
+    connection: "products",
+    gidType: "Product",
+    fields: `
+      id
+      handle
+      title
+      descriptionHtml
+      seo {
+        title
+        description
+      }
+    `,
+    shape: (p) => ({
+      title: p.title,
+      seoTitle: p.seo?.title || "",
+      seoDescription: p.seo?.description || "",
+      description: p.descriptionHtml || "",
+    }),
+  },
+  collection: {
+    connection: "collections",
+    gidType: "Collection",
+    fields: `
+      id
+      handle
+      title
+      descriptionHtml
+      seo {
+        title
+        description
+      }
+    `,
+    shape: (c) => ({
+      title: c.title,
+      seoTitle: c.seo?.title || "",
+      seoDescription: c.seo?.description || "",
+      description: c.descriptionHtml || "",
+    }),
+  },
+  article: {
+    connection: "articles",
+    gidType: "Article",
+    fields: `
+      id
+      handle
+      title
+      body
+      seoTitle: metafield(namespace: "global", key: "title_tag") {
+        value
+      }
+      seoDescription: metafield(namespace: "global", key: "description_tag") {
+        value
+      }
+    `,
+    shape: (a) => ({
+      title: a.title,
+      seoTitle: a.seoTitle?.value || "",
+      seoDescription: a.seoDescription?.value || "",
+      description: a.body || "",
+    }),
+  },
+};
+
+export function parseContentTypes(types) {
+  if (!types) return CONTENT_TYPES;
+  const list = String(types)
+    .split(",")
+    .map((t) => t.trim().replace(/s$/, ""))
+    .filter(Boolean);
+  const invalid = list.filter((t) => !CONTENT_TYPES.includes(t));
+  if (list.length === 0 || invalid.length > 0) {
+    throw new HttpError(
+      400,
+      `'types' must be any of: ${CONTENT_TYPES.map((t) => `${t}s`).join(", ")}`
+    );
+  }
+  return list;
+}
+
+export function contentColumns(locales) {
+  return [
+    "type",
+    "id",
+    "handle",
+    ...FIELD_NAMES,
+    ...locales.flatMap((locale) => FIELD_NAMES.map((f) => `${f}:${locale}`)),
+  ];
+}
+
+// ---- Export ----
+
+export async function exportContent({ types, locales }) {
+  const rows = [];
+  let truncated = false;
+
+  for (const type of types) {
+    const { connection, fields, shape } = SOURCES[type];
+    const query = `
+      query exportContent($first: Int!, $after: String) {
+        ${connection}(first: $first, after: $after) {
+          pageInfo {
+            hasNextPage
+            endCursor
+          }
+          nodes { ${fields} }
+        }
+      }
+    `;
+
+    const result = await paginate(
+      async (variables) =>
+        (await shopifyGraphql(query, variables, `exporting ${connection}`))?.[
+          connection
+        ] || {},
+      { all: true, cursor: null },
+      { maxPageSize: 100 }
+    );
+    truncated = truncated || result.truncated;
+
+    // numericId -> { "<field>:<locale>": value }
+    const translated = new Map();
+    if (locales.length > 0) {
+      const resources = await listTranslatableResources(type, locales, {
+        withValues: true,
+      });
+      for (const resource of resources) {
+        const values = {};
+        for (const locale of locales) {
+          for (const t of resource.translations[locale]) {
+            const field = FIELD_NAMES.find((f) => CONTENT_FIELDS[f] === t.key);
+            if (field) values[`${field}:${locale}`] = t.value;
+          }
+        }
+        translated.set(numericId(resource.resourceId), values);
+      }
+    }
+
+    for (const node of result.items) {
+      const id = numericId(node.id);
+      rows.push({
+        type,
+        id,
+        handle: node.handle,
+        ...shape(node),
+        ...(translated.get(id) || {}),
+      });
+    }
+  }
+
+  return { rows, truncated };
+}
+
+// ---- Import ----
+
+// Checks the columns and returns the locales the translation columns use
+export function parseImportColumns(columns) {
+  const locales = new Set();
+  const unknown = [];
+
+  for (const column of columns) {
+    if (["type", "id", "handle", ...FIELD_NAMES].includes(column)) continue;
+    const [field, locale] = column.split(":");
+    if (FIELD_NAMES.includes(field) && locale) locales.add(locale);
+    else unknown.push(column);
+  }
+
+  if (!columns.includes("type") || !columns.includes("id")) {
+    throw new HttpError(400, "Import needs 'type' and 'id' columns");
+  }
+  if (unknown.length > 0) {
+    throw new HttpError(400, `Unknown column(s): ${unknown.join(", ")}`, {
+      allowed: contentColumns(["<locale>"]),
+    });
+  }
+  return [...locales];
+}
+
+// Current values for one item plus its translatable content (for digests)
+// and existing translations, in one request
+async function loadItem(type, id, locales) {
+  const { connection, gidType, fields, shape } = SOURCES[type];
+  const localeVars = locales.map((_, i) => `, $l${i}: String!`).join("");
+  const localeFields = locales
+    .map((_, i) => `t${i}: translations(locale: $l${i}) { key value }`)
+    .join("\n");
+  const query = `
+    query importItem($id: ID!, $resourceId: ID!${localeVars}) {
+      item: ${connection.replace(/s$/, "")}(id: $id) { ${fields} }
+      translatable: translatableResource(resourceId: $resourceId) {
+        translatableContent {
+          key
+          value
+          digest
+        }
+        ${localeFields}
+      }
+    }
+  `;
+  const resourceId = toResourceId(type, id);
+  const data = await shopifyGraphql(
+    query,
+    {
+      id: `gid://shopify/${gidType}/${id}`,
+      resourceId,
+      ...Object.fromEntries(locales.map((l, i) => [`l${i}`, l])),
+    },
+    `loading ${type} ${id}`
+  );
+
+  if (!data?.item) return null;
+
+  const content = {};
+  for (const c of data.translatable?.translatableContent || []) {
+    content[c.key] = c;
+  }
+
+  const translations = {};
+  locales.forEach((locale, i) => {
+    translations[locale] = {};
+    for (const t of data.translatable?.[`t${i}`] || []) {
+      translations[locale][t.key] = t.value;
+    }
+  });
+
+  return {
+    gid: data.item.id,
+    resourceId,
+    values: shape(data.item),
+    content,
+    translations,
+  };
+}
+
+// Compares one row with the store. Blank cells mean "leave as is"; a row
+// can't clear a field. Errors block the row, warnings don't.
+async function planRow(row, line, locales, glossary) {
+  const plan = {
+    line,
+    type: row.type,
+    id: row.id,
+    handle: row.handle || null,
+    status: "unchanged",
+    changes: {},
+    translationChanges: {},
+    errors: [],
+    warnings: [],
+  };
+
+  if (!CONTENT_TYPES.includes(row.type)) {
+    plan.errors.push(`'type' must be one of: ${CONTENT_TYPES.join(", ")}`);
+  }
+  const id = numericId(String(row.id || "").trim());
+  if (!/^\d+$/.test(id)) plan.errors.push("'id' must be a numeric id or GID");
+  if (plan.errors.length > 0) return { ...plan, status: "error" };
+  plan.id = id;
+
+  const current = await loadItem(row.type, id, locales);
+  if (!current) {
+    plan.errors.push(`No ${row.type} found with id ${id}`);
+    return { ...plan, status: "error" };
+  }
+  plan.current = current;
+
+  for (const field of FIELD_NAMES) {
+    const value = row[field];
+    if (value === undefined || value === "") continue;
+    if (value !== current.values[field]) {
+      plan.changes[field] = { before: current.values[field], after: value };
+    }
+  }
+
+  const seoAfter = {
+    seoTitle: plan.changes.seoTitle?.after ?? current.values.seoTitle,
+    seoDescription:
+      plan.changes.seoDescription?.after ?? current.values.seoDescription,
+  };
+  // Only warn about the half this row changes
+  const { issues } = checkSeoLengths(seoAfter);
+  for (const issue of issues) {
+    const field = issue.startsWith("title") ? "seoTitle" : "seoDescription";
+    if (plan.changes[field]) plan.warnings.push(`SEO ${issue}`);
+  }
+
+  for (const locale of locales) {
+    for (const field of FIELD_NAMES) {
+      const value = row[`${field}:${locale}`];
+      if (value === undefined || value === "") continue;
+
+      const key = CONTENT_FIELDS[field];
+      const before = current.translations[locale][key] ?? null;
+      if (value === before) continue;
+
+      const source = plan.changes[field]?.after ?? current.values[field];
+      if (!source) {
+        plan.errors.push(
+          `${field}:${locale} has no ${field} in the primary language to translate`
+        );
+        continue;
+      }
+
+      const check = validateTranslation(source, value, {
+        html: field === "description",
+        protectedTerms: protectedTermsFor(glossary),
+      });
+      const { terms } = glossaryForText(glossary, locale, source);
+      plan.warnings.push(
+        ...[...check.issues, ...checkGlossaryTerms(source, value, terms)].map(
+          (issue) => `${field}:${locale}: ${issue.message}`
+        )
+      );
+
+      plan.translationChanges[locale] ||= {};
+      plan.translationChanges[locale][field] = { before, after: value };
+    }
+  }
+
+  if (plan.errors.length > 0) plan.status = "error";
+  else if (
+    Object.keys(plan.changes).length > 0 ||
+    Object.keys(plan.translationChanges).length > 0
+  ) {
+    plan.status = "change";
+  }
+  return plan;
+}
+
+async function writeBase(plan) {
+  const { type, current, changes } = plan;
+  const after = (field) => changes[field]?.after;
+
+  if (type === "article") {
+    return updateArticle(
+      plan.id,
+      buildArticleFields({
+        title: after("title"),
+        bodyHtml: after("description"),
+        seoTitle: after("seoTitle"),
+        seoDescription: after("seoDescription"),
+      })
+    );
+  }
+
+  const input = { id: current.gid };
+  if (changes.title) input.title = after("title");
+  if (changes.description) input.descriptionHtml = after("description");
+  if (changes.seoTitle || changes.seoDescription) {
+    input.seo = {
+      title: after("seoTitle") ?? (current.values.seoTitle || null),
+      description:
+        after("seoDescription") ?? (current.values.seoDescription || null),
+    };
+  }
+
+  return type === "product" ? updateProduct(input) : updateCollection(input);
+}
+
+async function writeTranslations(plan, locales) {
+  // The source may just have changed, and with it the digests
+  const current = Object.keys(plan.changes).length
+    ? await loadItem(plan.type, plan.id, locales)
+    : plan.current;
+
+  const inputs = [];
+  for (const [locale, fields] of Object.entries(plan.translationChanges)) {
+    for (const [field, { after }] of Object.entries(fields)) {
+      const key = CONTENT_FIELDS[field];
+      inputs.push({
+        locale,
+        key,
+        value: after,
+        translatableContentDigest: current.content[key]?.digest,
+      });
+    }
+  }
+
+  const result = await registerTranslations(current.resourceId, inputs);
+  const userErrors = result?.userErrors || [];
+  if (userErrors.length > 0) {
+    throw new HttpError(400, "Shopify translationsRegister userErrors", {
+      userErrors,
+    });
+  }
+}
+
+// Plans every row and, unless dryRun, applies the ones without errors.
+// One row failing to write doesn't stop the others.
+// Plans and (unless `dryRun`) writes each row from spreadsheet line
+// `fromLine` on. No row after the first is started once `deadline` (ms
+// timestamp) has passed; `nextLine` is then the line to send the same file
+// again from.
+export async function importContent({
+  rows,
+  locales,
+  dryRun,
+  deadline,
+  fromLine = FIRST_LINE,
+}) {
+  if (rows.length === 0) throw new HttpError(400, "No rows to import");
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw new HttpError(
+      400,
+      `At most ${MAX_IMPORT_ROWS} rows per import (got ${rows.length}); split the file`
+    );
+  }
+
+  const glossary = await loadGlossary();
+  const plans = [];
+  let nextLine = null;
+
+  for (const [i, row] of rows.entries()) {
+    const line = i + FIRST_LINE;
+    if (line < fromLine) continue;
+    // At least one row per call, so a resumed import always moves on
+    if (plans.length > 0 && Date.now() >= deadline) {
+      nextLine = line;
+      break;
+    }
+
+    const plan = await planRow(row, line, locales, glossary);
+    plans.push(plan);
+    if (dryRun || plan.status !== "change") continue;
+
+    try {
+      if (Object.keys(plan.changes).length > 0) await writeBase(plan);
+      if (Object.keys(plan.translationChanges).length > 0) {
+        await writeTranslations(plan, locales);
+      }
+      plan.status = "applied";
+    } catch (err) {
+      plan.status = "failed";
+      plan.errors.push(err.message);
+      if (err.extra?.userErrors) plan.userErrors = err.extra.userErrors;
+    }
+  }
+
+  const summary = { rows: plans.length };
+  for (const plan of plans) {
+    summary[plan.status] = (summary[plan.status] || 0) + 1;
+  }
+
+  return {
+    summary,
+    complete: nextLine === null,
+    nextLine,
+    rows: plans.map(({ current, ...plan }) => plan),
+  };
+}
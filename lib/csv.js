@@ -0,0 +1,81 @@
+// lib/csv.js
+// Minimal RFC 4180 CSV for the report / export endpoints. Spreadsheet apps
+// are the consumers, so every field is quoted when it has to be and rows end
+// with CRLF.
+import { HttpError } from "./errors.js";
+
+function csvField(value) {
+  if (value === null || value === undefined) return "";
+  const text = typeof value === "object" ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// `columns` fixes the header order; rows are plain objects keyed by column
+export function toCsv(rows, columns) {
+  const lines = [columns.map(csvField).join(",")];
+  for (const row of rows) {
+    lines.push(columns.map((c) => csvField(row[c])).join(","));
+  }
+  return lines.join("\r\n") + "\r\n";
+}
+
+// Parses CSV text into objects keyed by the header row. Handles quoted
+// fields with commas / newlines / doubled quotes, CRLF or LF, and the BOM
+// Excel puts in front of UTF-8 exports. Blank lines are skipped.
+export function parseCsv(text) {
+  const input = String(text || "").replace(/^\uFEFF/, "");
+  const records = [];
+  let record = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+
+    if (quoted) {
+      if (ch === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"' && field === "") {
+      quoted = true;
+    } else if (ch === ",") {
+      record.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && input[i + 1] === "\n") i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+
+  if (quoted) throw new HttpError(400, "CSV has an unterminated quoted field");
+  if (field !== "" || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const nonEmpty = records.filter((r) => r.some((value) => value.trim() !== ""));
+  if (nonEmpty.length === 0) return { columns: [], rows: [] };
+
+  const columns = nonEmpty[0].map((c) => c.trim());
+  const rows = nonEmpty.slice(1).map((r) =>
+    Object.fromEntries(columns.map((c, i) => [c, r[i] ?? ""]))
+  );
+  return { columns, rows };
+}
+
+// Sends CSV as a download
+export function sendCsv(res, filename, csv) {
+  res.setHeader("Content-Type", "text/csv; charset=utf-8");
+  res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+  return res.status(200).send(csv);
+}
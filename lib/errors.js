@@ -0,0 +1,58 @@
+// lib/errors.js
+
+// An error that maps straight onto one of our JSON error responses:
+// { ok: false, error: message, ...extra }
+export class HttpError extends Error {
+  constructor(status, message, extra = {}) {
+    super(message);
+    this.name = "HttpError";
+    this.status = status;
+    this.extra = extra;
+  }
+}
+
+// Shared catch-all for handlers: HttpErrors become their own response,
+// anything else is logged and turned into a generic 500.
+export function sendError(res, err, endpoint) {
+  if (err instanceof HttpError) {
+    return res
+      .status(err.status)
+      .json({ ok: false, error: err.message, ...err.extra });
+  }
+
+  console.error(`Unexpected error in ${endpoint}:`, err);
+  return res.status(500).json({ ok: false, error: "Unexpected server error" });
+}
+
+// Shopify answered with an error (non-2xx, GraphQL `errors`, or no body)
+export class ShopifyError extends HttpError {
+  constructor(message, extra = {}) {
+    super(500, message, extra);
+    this.name = "ShopifyError";
+  }
+}
+
+// Still rate limited after all retries; `retryAfterMs` says when to come back
+export class ShopifyThrottledError extends HttpError {
+  constructor(message, retryAfterMs) {
+    super(429, message, { retryAfterMs });
+    this.name = "ShopifyThrottledError";
+  }
+}
+
+// A bulk run's `deadline` passed before the next Shopify / LLM call started
+export class TimeBudgetError extends HttpError {
+  constructor(action) {
+    super(503, `Time budget used up before ${action}`);
+    this.name = "TimeBudgetError";
+  }
+}
+
+// A mutation ran but Shopify rejected the input (`userErrors`)
+export class ShopifyUserError extends HttpError {
+  constructor(mutationName, userErrors) {
+    super(400, `Shopify ${mutationName} userErrors`, { userErrors });
+    this.name = "ShopifyUserError";
+    this.userErrors = userErrors;
+  }
+}
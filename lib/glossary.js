@@ -0,0 +1,191 @@
+// lib/glossary.js
+// Translation glossary: terms that must never be translated (on top of the
+// brand names and model codes in lib/html-validate.js) and fixed per-locale
+// translations such as "dial" -> "cadran". Kept as one JSON document in the
+// store and managed through api/glossary.js. Translation prompts get the
+// entries that occur in the text they translate, and the output is checked
+// against them afterwards.
+//
+// Entry: { term, doNotTranslate, translations: { locale: text }, note,
+//          updatedAt, updatedBy }
+import { HttpError } from "./errors.js";
+import { getProtectedTerms, termRegExp } from "./html-validate.js";
+import { readJson, writeJson } from "./store.js";
+
+const GLOSSARY_NAME = "glossary";
+const MAX_TERM_CHARS = 100;
+const MAX_ENTRIES_PER_CALL = 200;
+const LOCALE_RE = /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/;
+
+export async function loadGlossary() {
+  return (await readJson(GLOSSARY_NAME)) || { entries: [], updatedAt: null };
+}
+
+async function saveGlossary(glossary) {
+  glossary.entries.sort((a, b) => a.term.localeCompare(b.term));
+  glossary.updatedAt = new Date().toISOString();
+  await writeJson(GLOSSARY_NAME, glossary);
+}
+
+const sameTerm = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+function parseTerm(term, label = "term") {
+  if (typeof term !== "string" || !term.trim()) {
+    throw new HttpError(400, `'${label}' must be a non-empty string`);
+  }
+  if (term.trim().length > MAX_TERM_CHARS) {
+    throw new HttpError(
+      400,
+      `'${label}' must be at most ${MAX_TERM_CHARS} characters`
+    );
+  }
+  return term.trim();
+}
+
+// { locale: text | null }; null removes that locale's translation
+function parseTranslations(translations, term) {
+  if (translations === undefined) return {};
+  if (!translations || typeof translations !== "object") {
+    throw new HttpError(
+      400,
+      `'translations' for "${term}" must be an object of locale -> text`
+    );
+  }
+
+  const parsed = {};
+  for (const [locale, text] of Object.entries(translations)) {
+    if (!LOCALE_RE.test(locale)) {
+      throw new HttpError(400, `Invalid locale "${locale}" for "${term}"`);
+    }
+    parsed[locale] =
+      text === null ? null : parseTerm(text, `translations.${locale}`);
+  }
+  return parsed;
+}
+
+// Merges one { term, doNotTranslate?, translations?, note? } into the
+// matching entry (terms match case-insensitively) or creates it
+function mergeEntry(entries, input, by) {
+  const term = parseTerm(input?.term);
+  const translations = parseTranslations(input.translations, term);
+  const { doNotTranslate, note } = input;
+  if (doNotTranslate !== undefined && typeof doNotTranslate !== "boolean") {
+    throw new HttpError(
+      400,
+      `'doNotTranslate' for "${term}" must be true or false`
+    );
+  }
+
+  let entry = entries.find((e) => sameTerm(e.term, term));
+  if (!entry) {
+    entry = { term, doNotTranslate: false, translations: {}, note: null };
+    entries.push(entry);
+  }
+
+  if (doNotTranslate !== undefined) entry.doNotTranslate = doNotTranslate;
+  for (const [locale, text] of Object.entries(translations)) {
+    if (text === null) delete entry.translations[locale];
+    else entry.translations[locale] = text;
+  }
+  if (note !== undefined) entry.note = note ? String(note) : null;
+
+  if (entry.doNotTranslate && Object.keys(entry.translations).length > 0) {
+    throw new HttpError(
+      400,
+      `"${term}" can't be both do-not-translate and have translations`
+    );
+  }
+  if (!entry.doNotTranslate && Object.keys(entry.translations).length === 0) {
+    throw new HttpError(
+      400,
+      `"${term}" needs doNotTranslate: true or at least one translation`
+    );
+  }
+
+  entry.updatedAt = new Date().toISOString();
+  entry.updatedBy = by || null;
+  return entry;
+}
+
+// Adds or updates entries; all of them are checked before anything is saved
+export async function upsertGlossaryEntries(inputs, { by } = {}) {
+  if (!Array.isArray(inputs) || inputs.length === 0) {
+    throw new HttpError(400, "Send 'term' or a non-empty 'entries' array");
+  }
+  if (inputs.length > MAX_ENTRIES_PER_CALL) {
+    throw new HttpError(
+      400,
+      `At most ${MAX_ENTRIES_PER_CALL} entries per call`
+    );
+  }
+
+  const glossary = await loadGlossary();
+  const saved = inputs.map((input) => mergeEntry(glossary.entries, input, by));
+  await saveGlossary(glossary);
+  return saved;
+}
+
+export async function deleteGlossaryEntry(term) {
+  const wanted = parseTerm(term);
+  const glossary = await loadGlossary();
+  const entry = glossary.entries.find((e) => sameTerm(e.term, wanted));
+
+  if (!entry) {
+    throw new HttpError(404, `No glossary entry for "${wanted}"`);
+  }
+
+  glossary.entries = glossary.entries.filter((e) => e !== entry);
+  await saveGlossary(glossary);
+  return entry;
+}
+
+// ---- Using it in translations ----
+
+// The glossary entries that apply to `text` in `locale`:
+// { keep: [terms], terms: [{ term, translation }] }. Without `text` every
+// entry for the locale is returned.
+export function glossaryForText(glossary, locale, text) {
+  const occurs = (term) => text === undefined || termRegExp(term).test(text);
+  const keep = new Set();
+  const terms = [];
+
+  for (const entry of glossary.entries) {
+    if (!occurs(entry.term)) continue;
+    if (entry.doNotTranslate) keep.add(entry.term);
+    else if (entry.translations[locale]) {
+      terms.push({ term: entry.term, translation: entry.translations[locale] });
+    }
+  }
+  for (const term of getProtectedTerms()) {
+    if (occurs(term)) keep.add(term);
+  }
+
+  return { keep: [...keep], terms };
+}
+
+// Do-not-translate terms for validateTranslation: the built-in brand names
+// plus the glossary's
+export function protectedTermsFor(glossary) {
+  return [
+    ...new Set([
+      ...getProtectedTerms(),
+      ...glossary.entries.filter((e) => e.doNotTranslate).map((e) => e.term),
+    ]),
+  ];
+}
+
+// Fixed translations the output didn't use: [{ term, expected, message }].
+// The expected text only has to appear somewhere (case-insensitively), so
+// inflected forms like "cadrans" still pass.
+export function checkGlossaryTerms(source, translated, terms) {
+  const output = String(translated || "").toLocaleLowerCase();
+  const used = (text) => output.includes(text.toLocaleLowerCase());
+  return terms
+    .filter(({ term }) => termRegExp(term).test(source))
+    .filter(({ translation }) => !used(translation))
+    .map(({ term, translation }) => ({
+      term,
+      expected: translation,
+      message: `Glossary: "${term}" should be translated as "${translation}"`,
+    }));
+}
@@ -0,0 +1,220 @@
+// lib/html-validate.js
+// Checks an AI translation against its source before we write it to the store:
+// same tag sequence, same <li> count, same (non-text) attributes, balanced
+// tags, and every protected token (model codes, brand names) still present.
+//
+// No HTML parser dependency on purpose: Shopify descriptions are simple
+// fragments and a tag tokenizer is enough to compare structure.
+
+const VOID_TAGS = [
+  "area", "base", "br", "col", "embed", "hr", "img", "input",
+  "link", "meta", "param", "source", "track", "wbr",
+];
+
+// Attribute values that are human-readable text and may be translated
+const TEXT_ATTRIBUTES = ["alt", "title", "aria-label", "placeholder"];
+
+// Brand names that must survive translation. Extend with PROTECTED_TERMS
+// (comma-separated) without a deploy.
+const DEFAULT_PROTECTED_TERMS = ["AllCustom", "Seiko"];
+
+// Model / calibre codes like NH35, NH36A, SKX007, 4R36
+const MODEL_CODE_RE = /\b(?=[A-Z0-9]*\d)(?=[A-Z0-9]*[A-Z])[A-Z0-9]{3,10}\b/g;
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Whole-word, case-insensitive; Unicode-aware so it works for any script.
+// Shared with the glossary so both find a term the same way.
+export function termRegExp(term) {
+  return new RegExp(
+    `(^|[^\\p{L}\\p{N}])${escapeRegExp(term)}(?=$|[^\\p{L}\\p{N}])`,
+    "iu"
+  );
+}
+
+const TAG_RE = /<!--[\s\S]*?-->|<(\/?)([a-zA-Z][\w:-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/g;
+const ATTR_RE = /([^\s=/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+
+function parseAttributes(raw) {
+  const attrs = {};
+  for (const m of raw.replace(/\/\s*$/, "").matchAll(ATTR_RE)) {
+    attrs[m[1].toLowerCase()] = m[2] ?? m[3] ?? m[4] ?? "";
+  }
+  return attrs;
+}
+
+export function tokenizeTags(html) {
+  const tags = [];
+  for (const m of String(html || "").matchAll(TAG_RE)) {
+    if (!m[2]) continue; // comment
+    const name = m[2].toLowerCase();
+    const closing = m[1] === "/";
+    tags.push({
+      name,
+      closing,
+      void: VOID_TAGS.includes(name),
+      attrs: closing ? {} : parseAttributes(m[3]),
+    });
+  }
+  return tags;
+}
+
+const tagLabel = (t) => (t.closing ? `</${t.name}>` : `<${t.name}>`);
+
+export function stripTags(html) {
+  return String(html || "").replace(TAG_RE, " ");
+}
+
+function countTags(tags) {
+  const counts = {};
+  for (const t of tags) {
+    if (!t.closing) counts[t.name] = (counts[t.name] || 0) + 1;
+  }
+  return counts;
+}
+
+// Returns a list of problems, empty when every tag is closed in order
+export function balanceProblems(tags) {
+  const problems = [];
+  const stack = [];
+
+  for (const t of tags) {
+    if (t.void) continue;
+    if (!t.closing) {
+      stack.push(t.name);
+    } else if (stack[stack.length - 1] === t.name) {
+      stack.pop();
+    } else {
+      problems.push(`unexpected </${t.name}>`);
+      const idx = stack.lastIndexOf(t.name);
+      if (idx !== -1) stack.length = idx;
+    }
+  }
+
+  for (const name of stack) problems.push(`unclosed <${name}>`);
+  return problems;
+}
+
+export function getProtectedTerms() {
+  const extra = String(process.env.PROTECTED_TERMS || "")
+    .split(",")
+    .map((t) => t.trim())
+    .filter(Boolean);
+  return [...new Set([...DEFAULT_PROTECTED_TERMS, ...extra])];
+}
+
+// Protected tokens that actually occur in this source text. Terms match in
+// any case ("SEIKO" counts as "Seiko"), model codes as written.
+export function findProtectedTokens(sourceText, terms = getProtectedTerms()) {
+  const text = stripTags(sourceText);
+  const found = new Set(text.match(MODEL_CODE_RE) || []);
+  for (const term of terms) {
+    if (termRegExp(term).test(text)) found.add(term);
+  }
+  return [...found];
+}
+
+function compareStructure(sourceHtml, translatedHtml, issues) {
+  const sourceTags = tokenizeTags(sourceHtml);
+  const translatedTags = tokenizeTags(translatedHtml);
+
+  const sourceSeq = sourceTags.map(tagLabel);
+  const translatedSeq = translatedTags.map(tagLabel);
+
+  const firstMismatch = sourceSeq.findIndex((tag, i) => tag !== translatedSeq[i]);
+  const mismatchAt =
+    firstMismatch !== -1
+      ? firstMismatch
+      : translatedSeq.length > sourceSeq.length
+        ? sourceSeq.length
+        : -1;
+
+  if (mismatchAt !== -1) {
+    const from = Math.max(0, mismatchAt - 2);
+    issues.push({
+      type: "tag-sequence",
+      message: `Tag sequence differs at tag #${mismatchAt + 1}`,
+      expected: sourceSeq.slice(from, mismatchAt + 3).join(""),
+      actual: translatedSeq.slice(from, mismatchAt + 3).join(""),
+    });
+  }
+
+  const sourceCounts = countTags(sourceTags);
+  const translatedCounts = countTags(translatedTags);
+
+  if ((sourceCounts.li || 0) !== (translatedCounts.li || 0)) {
+    issues.push({
+      type: "list-items",
+      message: `Expected ${sourceCounts.li || 0} <li> items, got ${translatedCounts.li || 0}`,
+    });
+  }
+
+  // Attributes only make sense to compare when the tags line up
+  if (mismatchAt === -1) {
+    sourceTags.forEach((tag, i) => {
+      const other = translatedTags[i];
+      const names = new Set([...Object.keys(tag.attrs), ...Object.keys(other.attrs)]);
+      for (const name of names) {
+        if (!(name in tag.attrs) || !(name in other.attrs)) {
+          issues.push({
+            type: "attributes",
+            message: `Attribute "${name}" ${name in tag.attrs ? "missing from" : "added to"} <${tag.name}> (tag #${i + 1})`,
+          });
+        } else if (
+          !TEXT_ATTRIBUTES.includes(name) &&
+          tag.attrs[name] !== other.attrs[name]
+        ) {
+          issues.push({
+            type: "attributes",
+            message: `Attribute "${name}" changed on <${tag.name}> (tag #${i + 1})`,
+            expected: tag.attrs[name],
+            actual: other.attrs[name],
+          });
+        }
+      }
+    });
+  }
+
+  // Only complain about balance when the source itself was balanced
+  if (balanceProblems(sourceTags).length === 0) {
+    for (const problem of balanceProblems(translatedTags)) {
+      issues.push({ type: "unbalanced", message: problem });
+    }
+  }
+
+  return { source: sourceCounts, translated: translatedCounts };
+}
+
+// Validates one translated value. `html` turns on the structure checks.
+// Returns { ok, issues, missingTokens, tagCounts? }
+export function validateTranslation(
+  source,
+  translated,
+  { html = false, protectedTerms } = {}
+) {
+  const issues = [];
+  let tagCounts;
+
+  if (html) {
+    tagCounts = compareStructure(source, translated, issues);
+  }
+
+  const translatedText = stripTags(translated);
+  const missingTokens = findProtectedTokens(source, protectedTerms).filter(
+    (token) => !termRegExp(token).test(translatedText)
+  );
+
+  for (const token of missingTokens) {
+    issues.push({
+      type: "protected-token",
+      message: `Protected token "${token}" is missing from the translation`,
+    });
+  }
+
+  return {
+    ok: issues.length === 0,
+    issues,
+    missingTokens,
+    ...(tagCounts ? { tagCounts } : {}),
+  };
+}
@@ -0,0 +1,136 @@
+// lib/llm-stub.js
+// LLM_PROVIDER=stub: canned, deterministic replies built from the input, in
+// the shape each task's prompt asks for. Lets every AI endpoint run offline
+// without keys (local development, demos, CI); the copy itself is nonsense.
+// Usage is estimated at four characters per token.
+import { SEO_LIMITS } from "./seo.js";
+
+const estimateTokens = (text) => Math.ceil(String(text).length / 4);
+
+// Pads `text` with `filler` up to `min` characters and cuts it at `max`
+function fitLength(text, filler, { min, max }) {
+  let out = text.trim();
+  while (out.length < min) out = `${out} ${filler}`.trim();
+  return out.length > max ? out.slice(0, max).trim() : out;
+}
+
+// Translations come back as the source text, so HTML and protected terms
+// still pass validation
+function translation(user) {
+  return { ...user };
+}
+
+function seo(user, system) {
+  const count = Number(/Write (\d+) different/.exec(system)?.[1] || 3);
+  const name = String(user.title || "Custom watch").trim();
+  const about = String(user.description || user.summary || name)
+    .replace(/\s+/g, " ")
+    .trim();
+
+  return {
+    candidates: Array.from({ length: count }, (_, i) => ({
+      seoTitle: fitLength(`${name} | AllCustom${i ? ` ${i + 1}` : ""}`, "Watch", {
+        min: SEO_LIMITS.title.min,
+        max: SEO_LIMITS.title.max,
+      }),
+      seoDescription: fitLength(about, "Built by AllCustom.", {
+        min: SEO_LIMITS.description.min,
+        max: SEO_LIMITS.description.max,
+      }),
+    })),
+  };
+}
+
+// Outline first, then the article once an outline is in the input
+function drafting(user) {
+  const products = user.featuredProducts || [];
+  const title = fitLength(String(user.topic || "Watch guide"), "Guide", {
+    min: 1,
+    max: 120,
+  });
+
+  if (!user.outline) {
+    return {
+      title,
+      sections: [
+        { heading: "Introduction", points: [title], featuredProducts: [] },
+        ...products.map((p) => ({
+          heading: p.title,
+          points: [p.description || p.title],
+          featuredProducts: [p.handle],
+        })),
+      ],
+    };
+  }
+
+  const bodyHtml = user.outline.sections
+    .map((section) => {
+      const product = products.find((p) =>
+        (section.featuredProducts || []).includes(p.handle)
+      );
+      const link = product
+        ? `<p><a href="${product.url}">${product.title}</a></p>` +
+          (product.image
+            ? `<img src="${product.image.src}" alt="${product.image.alt}">`
+            : "")
+        : "";
+      const points = (section.points || []).join(" ");
+      return `<h2>${section.heading}</h2><p>${points}</p>${link}`;
+    })
+    .join("");
+
+  return {
+    title: user.outline.title || title,
+    bodyHtml,
+    summaryHtml: `<p>${title}</p>`,
+    tags: (user.keywords || []).slice(0, 6).map((k) => String(k).toLowerCase()),
+    seoTitle: fitLength(`${title} | AllCustom`, "Journal", {
+      min: SEO_LIMITS.title.min,
+      max: SEO_LIMITS.title.max,
+    }),
+    seoDescription: fitLength(title, "A guide from the AllCustom workshop.", {
+      min: SEO_LIMITS.description.min,
+      max: SEO_LIMITS.description.max,
+    }),
+  };
+}
+
+// Translations repeat the alt text for each locale the prompt lists
+function altText(user, system) {
+  const name = String(user.product?.title || "Custom watch").trim();
+  const locales = [...system.matchAll(/^- "([\w-]+)": /gm)].map((m) => m[1]);
+
+  return {
+    images: (user.images || []).map((img) => {
+      const alt = `${name}, product photo ${img.position}`.slice(0, 125);
+      return {
+        id: img.id,
+        alt,
+        translations: Object.fromEntries(locales.map((l) => [l, alt])),
+      };
+    }),
+  };
+}
+
+const RESPONDERS = {
+  translation,
+  seo,
+  drafting,
+  alt_text: altText,
+};
+
+// Same reply shape as a real provider call in lib/llm.js
+export function stubJsonChat({ task, system, user, text }) {
+  const input = typeof user === "string" ? {} : user;
+  const reply = RESPONDERS[task] ? RESPONDERS[task](input, system) : {};
+  const content = JSON.stringify(reply);
+
+  return {
+    content,
+    usage: {
+      inputTokens: estimateTokens(system) + estimateTokens(text),
+      outputTokens: estimateTokens(content),
+    },
+    attempts: 1,
+  };
+}
@@ -0,0 +1,142 @@
+// lib/llm-usage.js
+// Token usage and cost of every LLM call, for api/llm-usage.js. One JSON line
+// per call in DATA_DIR/llm-usage/<yyyy-mm>.jsonl:
+//   { at, task, provider, model, inputTokens, outputTokens, costUsd,
+//     attempts, durationMs, who, endpoint, batchId }
+// batchId is the audit log's, so a call can be matched to the writes it led to.
+import { HttpError } from "./errors.js";
+import { appendJsonLine, listJson, readJsonLines } from "./store.js";
+
+// USD per million tokens. LLM_PRICES (JSON, same shape) adds or overrides
+// models; calls to a model without a price get costUsd: null.
+const DEFAULT_PRICES = {
+  "gpt-4.1": { input: 2, output: 8 },
+  "gpt-4.1-mini": { input: 0.4, output: 1.6 },
+  "gpt-4.1-nano": { input: 0.1, output: 0.4 },
+  "gpt-4o": { input: 2.5, output: 10 },
+  "gpt-4o-mini": { input: 0.15, output: 0.6 },
+  stub: { input: 0, output: 0 },
+};
+
+const MAX_RECENT_CALLS = 200;
+
+function getPrices() {
+  if (!process.env.LLM_PRICES) return DEFAULT_PRICES;
+  try {
+    return { ...DEFAULT_PRICES, ...JSON.parse(process.env.LLM_PRICES) };
+  } catch (err) {
+    console.error("LLM_PRICES is not valid JSON, using the defaults:", err);
+    return DEFAULT_PRICES;
+  }
+}
+
+export function callCost(model, inputTokens, outputTokens) {
+  const price = getPrices()[model];
+  if (!price || inputTokens === null || outputTokens === null) return null;
+  const usd = (inputTokens * price.input + outputTokens * price.output) / 1e6;
+  return Math.round(usd * 1e6) / 1e6;
+}
+
+function logName(date) {
+  return `llm-usage/${date.toISOString().slice(0, 7)}`;
+}
+
+// Failing to record usage never fails the call that used the tokens
+export async function recordLlmUsage(call) {
+  const at = new Date();
+  const record = {
+    at: at.toISOString(),
+    ...call,
+    costUsd: callCost(call.model, call.inputTokens, call.outputTokens),
+  };
+
+  try {
+    await appendJsonLine(logName(at), record);
+  } catch (err) {
+    console.error("[llm-usage] could not record call:", JSON.stringify(record), err);
+  }
+  return record;
+}
+
+export function parseUsageQuery(query = {}) {
+  const { since, until, task, who, recent } = query;
+
+  const dates = {};
+  for (const [name, value] of Object.entries({ since, until })) {
+    if (!value) continue;
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      throw new HttpError(400, `'${name}' must be an ISO date`);
+    }
+    dates[name] = date.toISOString();
+  }
+
+  let recentCount = 20;
+  if (recent !== undefined && recent !== "") {
+    recentCount = Number(recent);
+    if (
+      !Number.isInteger(recentCount) ||
+      recentCount < 0 ||
+      recentCount > MAX_RECENT_CALLS
+    ) {
+      throw new HttpError(
+        400,
+        `'recent' must be a whole number between 0 and ${MAX_RECENT_CALLS}`
+      );
+    }
+  }
+
+  return {
+    since: dates.since || null,
+    until: dates.until || null,
+    task: task ? String(task) : null,
+    who: who ? String(who) : null,
+    recent: recentCount,
+  };
+}
+
+function emptyTotals() {
+  return { calls: 0, inputTokens: 0, outputTokens: 0, costUsd: 0, unpriced: 0 };
+}
+
+function addCall(totals, call) {
+  totals.calls += 1;
+  totals.inputTokens += call.inputTokens || 0;
+  totals.outputTokens += call.outputTokens || 0;
+  if (call.costUsd === null) totals.unpriced += 1;
+  else totals.costUsd = Math.round((totals.costUsd + call.costUsd) * 1e6) / 1e6;
+}
+
+// Totals overall, per task and per model, plus the newest `recent` calls.
+// `unpriced` counts calls whose cost isn't known (no price or no usage).
+export async function summarizeLlmUsage(filter) {
+  const files = (await listJson("llm-usage", ".jsonl")).sort();
+  const totals = emptyTotals();
+  const byTask = {};
+  const byModel = {};
+  const recent = [];
+
+  for (const file of files) {
+    const month = file.slice("llm-usage/".length);
+    if (filter.since && month < filter.since.slice(0, 7)) continue;
+    if (filter.until && month > filter.until.slice(0, 7)) break;
+
+    for (const call of await readJsonLines(file)) {
+      if (filter.since && call.at < filter.since) continue;
+      if (filter.until && call.at > filter.until) continue;
+      if (filter.task && call.task !== filter.task) continue;
+      if (filter.who && call.who !== filter.who) continue;
+
+      addCall(totals, call);
+      addCall((byTask[call.task] ||= emptyTotals()), call);
+      addCall((byModel[call.model] ||= emptyTotals()), call);
+
+      if (filter.recent > 0) {
+        recent.unshift(call);
+        if (recent.length > filter.recent) recent.pop();
+      }
+    }
+  }
+
+  return { totals, byTask, byModel, recent };
+}
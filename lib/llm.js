@@ -0,0 +1,202 @@
+// lib/llm.js
+// Shared LLM client. Every AI feature calls llmJsonChat() with its task name,
+// so the provider, the model per task, retries and usage tracking live in one
+// place (like lib/shopify.js does for Shopify).
+//
+// LLM_PROVIDER     "openai" (default) or "stub" for offline runs
+// LLM_BASE_URL     any OpenAI-compatible endpoint (default api.openai.com)
+// LLM_API_KEY      falls back to OPENAI_API_KEY; optional with LLM_BASE_URL
+// LLM_MODEL        model for every task, LLM_MODEL_<TASK> for one task
+//                  (LLM_MODEL_TRANSLATION, LLM_MODEL_SEO, ...)
+import { getAuditContext } from "./audit-log.js";
+import { HttpError } from "./errors.js";
+import { stubJsonChat } from "./llm-stub.js";
+import { recordLlmUsage } from "./llm-usage.js";
+
+export const LLM_PROVIDERS = ["openai", "stub"];
+
+// Default model per task; alt_text needs one that takes images
+export const LLM_TASKS = {
+  translation: { model: "gpt-4.1-mini" },
+  seo: { model: "gpt-4.1-mini" },
+  drafting: { model: "gpt-4.1-mini" },
+  alt_text: { model: "gpt-4.1-mini" },
+};
+
+const DEFAULT_BASE_URL = "https://api.openai.com/v1";
+
+// Retries for 429 / 5xx / network errors, with exponential backoff. A
+// Retry-After longer than MAX_DELAY_MS is handed back to the caller instead.
+const MAX_RETRIES = Number(process.env.LLM_MAX_RETRIES || 2);
+const BASE_DELAY_MS = 1000;
+const MAX_DELAY_MS = 10000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function backoff(attempt) {
+  const delay = BASE_DELAY_MS * 2 ** attempt;
+  return Math.min(delay + Math.random() * BASE_DELAY_MS, MAX_DELAY_MS);
+}
+
+export function getLlmConfig() {
+  const provider = String(process.env.LLM_PROVIDER || "openai").toLowerCase();
+
+  if (!LLM_PROVIDERS.includes(provider)) {
+    throw new HttpError(
+      500,
+      `Unknown LLM_PROVIDER "${provider}". Use one of: ${LLM_PROVIDERS.join(", ")}`
+    );
+  }
+  if (provider === "stub") return { provider };
+
+  const baseUrl = (process.env.LLM_BASE_URL || DEFAULT_BASE_URL).replace(
+    /\/+$/,
+    ""
+  );
+  const apiKey = process.env.LLM_API_KEY || process.env.OPENAI_API_KEY || null;
+
+  // Self-hosted OpenAI-compatible servers often run without a key
+  if (!apiKey && baseUrl === DEFAULT_BASE_URL) {
+    throw new HttpError(
+      500,
+      "Missing environment variables. Check LLM_API_KEY (or OPENAI_API_KEY)."
+    );
+  }
+
+  return { provider, baseUrl, apiKey };
+}
+
+export function getTaskModel(task) {
+  if (!LLM_TASKS[task]) throw new Error(`Unknown LLM task "${task}"`);
+  return (
+    process.env[`LLM_MODEL_${task.toUpperCase()}`] ||
+    process.env.LLM_MODEL ||
+    LLM_TASKS[task].model
+  );
+}
+
+function buildMessages(system, text, images) {
+  return [
+    { role: "system", content: system },
+    {
+      role: "user",
+      content:
+        images.length === 0
+          ? text
+          : [
+              { type: "text", text },
+              ...images.map((url) => ({
+                type: "image_url",
+                image_url: { url, detail: "low" },
+              })),
+            ],
+    },
+  ];
+}
+
+function retryAfterMs(res) {
+  const seconds = Number(res.headers.get("retry-after"));
+  return seconds > 0 ? seconds * 1000 : null;
+}
+
+// One chat completion against an OpenAI-compatible endpoint, retried on rate
+// limits and server errors. Returns { content, usage, attempts }.
+async function openaiChat(config, { model, messages }) {
+  for (let attempt = 0; ; attempt++) {
+    let llmRes;
+    try {
+      llmRes = await fetch(`${config.baseUrl}/chat/completions`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          ...(config.apiKey ? { Authorization: `Bearer ${config.apiKey}` } : {}),
+        },
+        body: JSON.stringify({
+          model,
+          response_format: { type: "json_object" },
+          messages,
+        }),
+      });
+    } catch (err) {
+      if (attempt < MAX_RETRIES) {
+        await sleep(backoff(attempt));
+        continue;
+      }
+      throw new HttpError(502, "LLM API unreachable", { details: String(err) });
+    }
+
+    const llmJson = await llmRes.json().catch(() => null);
+
+    if (llmRes.status === 429) {
+      const wait = retryAfterMs(llmRes) ?? backoff(attempt);
+      if (attempt < MAX_RETRIES && wait <= MAX_DELAY_MS) {
+        await sleep(wait);
+        continue;
+      }
+      throw new HttpError(429, "LLM rate limit hit", {
+        retryAfterMs: wait,
+        details: llmJson,
+      });
+    }
+
+    if (llmRes.status >= 500 && attempt < MAX_RETRIES) {
+      await sleep(backoff(attempt));
+      continue;
+    }
+
+    if (!llmRes.ok) {
+      console.error("LLM API error:", llmJson);
+      throw new HttpError(500, "LLM API error", { details: llmJson });
+    }
+
+    return {
+      content: llmJson?.choices?.[0]?.message?.content || "{}",
+      usage: {
+        inputTokens: llmJson?.usage?.prompt_tokens ?? null,
+        outputTokens: llmJson?.usage?.completion_tokens ?? null,
+      },
+      attempts: attempt + 1,
+    };
+  }
+}
+
+// Sends a system prompt + JSON user payload for `task` (one of LLM_TASKS) and
+// returns the parsed JSON reply. `images` (URLs) are attached to the user
+// message for vision-capable models. Every call is recorded with its token
+// usage and cost (see lib/llm-usage.js).
+export async function llmJsonChat({ task, system, user, images = [], model }) {
+  const config = getLlmConfig();
+  const chosenModel = model || getTaskModel(task);
+  const text = typeof user === "string" ? user : JSON.stringify(user);
+  const started = Date.now();
+
+  const reply =
+    config.provider === "stub"
+      ? stubJsonChat({ task, system, user, text })
+      : await openaiChat(config, {
+          model: chosenModel,
+          messages: buildMessages(system, text, images),
+        });
+
+  const context = getAuditContext() || {};
+  await recordLlmUsage({
+    task,
+    provider: config.provider,
+    model: config.provider === "stub" ? "stub" : chosenModel,
+    ...reply.usage,
+    attempts: reply.attempts,
+    durationMs: Date.now() - started,
+    who: context.who || null,
+    endpoint: context.endpoint || null,
+    batchId: context.batchId || null,
+  });
+
+  try {
+    return JSON.parse(reply.content);
+  } catch (e) {
+    console.error("Failed to parse LLM JSON:", reply.content);
+    throw new HttpError(500, "Failed to parse LLM response as JSON", {
+      raw: reply.content,
+    });
+  }
+}
@@ -0,0 +1,116 @@
+// lib/locales.js
+// Per-locale translation settings. Add a locale here to give it its own
+// market and style rules; locales without an entry still work but get a
+// generic prompt.
+
+export const LOCALE_CONFIG = {
+  ar: {
+    language: "Arabic",
+    market: "the GCC",
+    style: [
+      "Modern Standard Arabic, neutral tone, suitable for Bahrain, KSA, and Kuwait.",
+      "Keep meaning accurate but make sentences natural in Arabic.",
+    ],
+  },
+  fr: {
+    language: "French",
+    market: "France, Belgium and Switzerland",
+    style: [
+      'Standard European French. Address the customer with "vous".',
+      "Keep meaning accurate but make sentences natural in French.",
+      "Use French typography (non-breaking space before : ; ! ?).",
+    ],
+  },
+  de: {
+    language: "German",
+    market: "Germany, Austria and Switzerland",
+    style: [
+      'Standard German. Address the customer with "Sie".',
+      "Keep meaning accurate but make sentences natural in German.",
+      "Keep compound nouns readable; do not over-translate established English watch terms.",
+    ],
+  },
+};
+
+function languageName(locale) {
+  try {
+    return new Intl.DisplayNames(["en"], { type: "language" }).of(locale) || locale;
+  } catch (e) {
+    return locale;
+  }
+}
+
+// Looks up "pt-BR" first, then "pt", then falls back to a generic config
+export function getLocaleConfig(locale) {
+  const base = String(locale).split("-")[0];
+  const config = LOCALE_CONFIG[locale] || LOCALE_CONFIG[base];
+  if (config) return config;
+
+  const language = languageName(locale);
+  return {
+    language,
+    market: null,
+    style: [
+      `Neutral, professional ${language}.`,
+      `Keep meaning accurate but make sentences natural in ${language}.`,
+    ],
+  };
+}
+
+// Glossary rules for the prompt; `glossary` is what glossaryForText() in
+// lib/glossary.js returns for the text being translated
+function glossaryRules({ keep = [], terms = [] } = {}) {
+  if (keep.length === 0 && terms.length === 0) return "";
+
+  const lines = ["GLOSSARY:"];
+  if (keep.length) {
+    lines.push(
+      `- Never translate these, copy them exactly as written: ${keep.join(", ")}`
+    );
+  }
+  if (terms.length) {
+    lines.push("- Always translate these terms as given:");
+    for (const { term, translation } of terms) {
+      lines.push(`  - "${term}" -> "${translation}"`);
+    }
+  }
+  return `\n${lines.join("\n")}\n`;
+}
+
+// `resourceLabel` is e.g. "product" or "blog article"; `htmlKeys` lists the
+// input keys whose values are HTML.
+export function buildTranslationPrompt(
+  locale,
+  sourceLocale,
+  { resourceLabel = "product", htmlKeys = [], glossary } = {}
+) {
+  const config = getLocaleConfig(locale);
+  const sourceLanguage = languageName(sourceLocale).toUpperCase();
+  const targetLanguage = config.language.toUpperCase();
+  const market = config.market ? ` in ${config.market}` : "";
+  const htmlKeyList = htmlKeys.length
+    ? htmlKeys.map((k) => `"${k}"`).join(", ")
+    : "(none in this input)";
+
+  return `
+You are a professional ${config.language} copywriter and translator for a premium watch e-commerce website${market}.
+
+You will receive a JSON object with a ${resourceLabel}'s text fields in ${sourceLanguage}, keyed by field name.
+Your job is to translate ONLY the visible text into clear, modern, professional ${targetLanguage}.
+
+VERY IMPORTANT RULES ABOUT HTML:
+- These keys contain HTML: ${htmlKeyList}. For them you MUST keep the EXACT SAME HTML structure.
+- Do NOT remove, add, or reorder HTML tags. Preserve all tags such as <p>, <strong>, <b>, <u>, <em>, <h2>, <h3>, <ul>, <li>, <br>.
+- If the source text uses bullet points (<ul><li>), the ${config.language} version MUST also stay as bullet points with the same number of <li> items.
+- If the source text uses bold or underlined text (<strong>, <b>, <u>), keep the same tags around the corresponding ${config.language} words.
+- Do NOT translate tag names or attributes, only the text between the tags.
+- Keep numbers, model codes (e.g. NH35, SKX007), and brand names in Latin script.
+${glossaryRules(glossary)}
+STYLE:
+${config.style.map((rule) => `- ${rule}`).join("\n")}
+
+OUTPUT:
+Return a single JSON object with exactly the same keys as the input.
+Each value is the ${config.language} translation of the input value (HTML keys must stay valid HTML with the SAME structure).
+`.trim();
+}
@@ -0,0 +1,99 @@
+// lib/pagination.js
+// Shared ?limit= / ?cursor= / ?all=true handling for the list endpoints.
+import { HttpError } from "./errors.js";
+
+// Shopify's own per-page maximum
+export const MAX_PAGE_SIZE = 250;
+
+// Upper bound for all=true so one request can't walk an unbounded catalog.
+// When it's hit the response has truncated: true and a nextCursor to go on from.
+export const MAX_ALL_ITEMS = Number(process.env.LIST_ALL_MAX_ITEMS || 5000);
+
+export function parsePagination(query = {}, { defaultLimit = 50 } = {}) {
+  const { limit, cursor, all } = query;
+  let pageSize = defaultLimit;
+
+  if (limit !== undefined && limit !== "") {
+    pageSize = Number(limit);
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+      throw new HttpError(
+        400,
+        `'limit' must be a whole number between 1 and ${MAX_PAGE_SIZE}`
+      );
+    }
+  }
+
+  return {
+    limit: pageSize,
+    cursor: cursor ? String(cursor) : null,
+    all: all === true || all === "true" || all === "1",
+  };
+}
+
+// `fetchPage({ first, after })` must resolve to { nodes, pageInfo } with
+// pageInfo = { hasNextPage, endCursor }, i.e. a GraphQL connection.
+// `maxPageSize` lets expensive queries (nested connections) use smaller pages.
+export async function paginate(
+  fetchPage,
+  { limit, cursor, all },
+  { maxPageSize = MAX_PAGE_SIZE } = {}
+) {
+  const items = [];
+  let after = cursor;
+  let pageInfo;
+
+  do {
+    const first = Math.min(
+      all ? MAX_ALL_ITEMS - items.length : limit,
+      maxPageSize
+    );
+
+    const page = await fetchPage({ first, after });
+    items.push(...(page.nodes || []));
+    pageInfo = page.pageInfo || { hasNextPage: false, endCursor: null };
+    after = pageInfo.endCursor;
+  } while (all && pageInfo.hasNextPage && items.length < MAX_ALL_ITEMS);
+
+  return {
+    items,
+    pageInfo,
+    nextCursor: pageInfo.hasNextPage ? pageInfo.endCursor : null,
+    truncated: all && pageInfo.hasNextPage,
+  };
+}
+
+// How far one scan walks looking for matching nodes
+const MAX_SCAN = 500;
+
+// Walks a connection from `cursor` collecting up to `limit` nodes that
+// `matches`. `fetchPage({ first, after })` resolves to { edges, pageInfo };
+// edges carry their own cursor so nextCursor resumes right after the last
+// node taken (or scanned, when the scan cap is hit first).
+export async function scanConnection(
+  fetchPage,
+  { limit, cursor, matches, pageSize = 25 }
+) {
+  const items = [];
+  let after = cursor || null;
+  let scanned = 0;
+  let hasMore = true;
+
+  while (hasMore && items.length < limit && scanned < MAX_SCAN) {
+    const page = await fetchPage({ first: pageSize, after });
+    const edges = page.edges || [];
+    let taken = 0;
+
+    for (const edge of edges) {
+      taken++;
+      scanned++;
+      after = edge.cursor;
+      if (matches(edge.node)) items.push(edge.node);
+      if (items.length >= limit) break;
+    }
+
+    hasMore = taken < edges.length || Boolean(page.pageInfo?.hasNextPage);
+    if (edges.length === 0) hasMore = false;
+  }
+
+  return { items, scanned, nextCursor: hasMore ? after : null };
+}
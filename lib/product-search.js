@@ -0,0 +1,150 @@
+// lib/product-search.js
+// Query-param -> Shopify product search syntax, plus the optional field sets
+// list-product-handles can return.
+import { HttpError } from "./errors.js";
+
+const STATUSES = ["active", "draft", "archived"];
+
+// Quote a value for Shopify search syntax: vendor:"Seiko 5"
+function quote(value) {
+  return `"${String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"')}"`;
+}
+
+function list(value) {
+  return String(value)
+    .split(",")
+    .map((v) => v.trim())
+    .filter(Boolean);
+}
+
+function checkDate(name, value) {
+  if (Number.isNaN(Date.parse(value))) {
+    throw new HttpError(400, `'${name}' must be an ISO date, e.g. 2024-06-01`);
+  }
+  return value;
+}
+
+// Builds the `query:` argument for products(...) from request query params.
+// Returns null when there is nothing to filter on.
+export function buildProductSearch(params = {}) {
+  const terms = [];
+
+  if (params.status) {
+    const statuses = list(params.status).map((s) => s.toLowerCase());
+    const invalid = statuses.filter((s) => !STATUSES.includes(s));
+    if (invalid.length > 0) {
+      throw new HttpError(400, `'status' must be one of: ${STATUSES.join(", ")}`);
+    }
+    terms.push(
+      statuses.length === 1
+        ? `status:${statuses[0]}`
+        : `(${statuses.map((s) => `status:${s}`).join(" OR ")})`
+    );
+  }
+
+  if (params.vendor) terms.push(`vendor:${quote(params.vendor)}`);
+  if (params.product_type) terms.push(`product_type:${quote(params.product_type)}`);
+
+  // Several tags means the product must have all of them
+  if (params.tag) {
+    for (const tag of list(params.tag)) terms.push(`tag:${quote(tag)}`);
+  }
+
+  if (params.collection) {
+    const id = String(params.collection).split("/").pop();
+    if (!/^\d+$/.test(id)) {
+      throw new HttpError(400, "'collection' must be a collection id or GID");
+    }
+    terms.push(`collection_id:${id}`);
+  }
+
+  if (params.updated_after) {
+    const date = checkDate("updated_after", params.updated_after);
+    terms.push(`updated_at:>=${quote(date)}`);
+  }
+  if (params.updated_before) {
+    const date = checkDate("updated_before", params.updated_before);
+    terms.push(`updated_at:<=${quote(date)}`);
+  }
+
+  // Free text, passed through as-is so Shopify search syntax works too
+  if (params.q) terms.push(`(${params.q})`);
+
+  return terms.length > 0 ? terms.join(" AND ") : null;
+}
+
+// Optional field sets for ?fields=seo,description,...
+// `maxPageSize` keeps the query under Shopify's cost limit.
+export const PRODUCT_FIELD_SETS = {
+  details: {
+    selection: `status vendor productType tags updatedAt`,
+    shape: (node) => ({
+      status: node.status,
+      vendor: node.vendor,
+      productType: node.productType,
+      tags: node.tags,
+      updatedAt: node.updatedAt,
+    }),
+  },
+  seo: {
+    selection: `seo { title description }`,
+    shape: (node) => ({
+      seoTitle: node.seo?.title || null,
+      seoDescription: node.seo?.description || null,
+    }),
+  },
+  description: {
+    selection: `description`,
+    shape: (node) => ({ descriptionLength: (node.description || "").trim().length }),
+  },
+  images: {
+    selection: `mediaCount { count } featuredImage { url altText }`,
+    shape: (node) => ({
+      imageCount: node.mediaCount?.count ?? 0,
+      featuredImage: node.featuredImage || null,
+    }),
+  },
+  variants: {
+    selection: `
+      variantsCount { count }
+      variants(first: 10) {
+        nodes { id title sku price inventoryQuantity }
+      }
+    `,
+    shape: (node) => ({
+      variantCount: node.variantsCount?.count ?? 0,
+      variants: node.variants?.nodes || [],
+    }),
+    maxPageSize: 50,
+  },
+};
+
+export function parseProductFields(value) {
+  if (!value) return [];
+
+  const fields = list(value);
+  const invalid = fields.filter((f) => !PRODUCT_FIELD_SETS[f]);
+  if (invalid.length > 0) {
+    throw new HttpError(
+      400,
+      `Unknown field set(s): ${invalid.join(", ")}. Use: ${Object.keys(PRODUCT_FIELD_SETS).join(", ")}`
+    );
+  }
+  return [...new Set(fields)];
+}
+
+export function productSelection(fields) {
+  return fields.map((f) => PRODUCT_FIELD_SETS[f].selection).join("\n");
+}
+
+export function productMaxPageSize(fields) {
+  return Math.min(
+    ...fields.map((f) => PRODUCT_FIELD_SETS[f].maxPageSize || Infinity)
+  );
+}
+
+export function shapeProduct(node, fields) {
+  const product = { id: node.id, handle: node.handle, title: node.title };
+  for (const f of fields) Object.assign(product, PRODUCT_FIELD_SETS[f].shape(node));
+  return product;
+}
@@ -0,0 +1,485 @@
+// lib/products.js
+// Product reads/writes shared by update-product and the AI SEO endpoints.
+import { auditedWrite, pickState } from "./audit-log.js";
+import { HttpError } from "./errors.js";
+import { shopifyGraphql, shopifyMutation } from "./shopify.js";
+
+const PRODUCT_UPDATE_FIELDS = `
+  id
+  title
+  descriptionHtml
+  seo {
+    title
+    description
+  }
+`;
+
+// Runs productUpdate and returns the updated product with `fields`. The
+// fields `input` sets are recorded in the audit log.
+export async function updateProduct(input, fields = PRODUCT_UPDATE_FIELDS) {
+  const after = productInputState(input);
+
+  return auditedWrite({
+    resource: { type: "product", id: productGid(input.id) },
+    before: () => readProductState(input.id, Object.keys(after)),
+    write: () => runProductUpdate(input, fields),
+    after,
+  });
+}
+
+async function runProductUpdate(input, fields) {
+  const mutation = `
+    mutation productUpdate($input: ProductInput!) {
+      productUpdate(input: $input) {
+        product { ${fields} }
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `;
+  const result = await shopifyMutation(mutation, { input }, "productUpdate");
+  return result?.product || null;
+}
+
+export function productGid(id) {
+  return String(id).startsWith("gid://")
+    ? String(id)
+    : `gid://shopify/Product/${id}`;
+}
+
+const PRODUCT_CONTEXT_FIELDS = `
+  id
+  handle
+  title
+  description
+  vendor
+  productType
+  tags
+  seo {
+    title
+    description
+  }
+  images(first: 5) {
+    nodes {
+      url
+      altText
+    }
+  }
+  collections(first: 5) {
+    nodes {
+      title
+    }
+  }
+`;
+
+// Reads a product by id or handle with the fields the AI endpoints use as context
+export async function getProductContext(
+  { productId, handle },
+  fields = PRODUCT_CONTEXT_FIELDS
+) {
+  let product;
+
+  if (productId) {
+    const query = `
+      query productContext($id: ID!) {
+        product(id: $id) { ${fields} }
+      }
+    `;
+    product = (
+      await shopifyGraphql(query, { id: productGid(productId) }, "fetching product")
+    )?.product;
+  } else if (handle) {
+    const query = `
+      query productContext($handle: String!) {
+        product: productByHandle(handle: $handle) { ${fields} }
+      }
+    `;
+    product = (await shopifyGraphql(query, { handle }, "fetching product"))?.product;
+  } else {
+    throw new HttpError(400, "Provide either 'productId' or 'handle'");
+  }
+
+  if (!product) {
+    const lookup = productId ? `id "${productId}"` : `handle "${handle}"`;
+    throw new HttpError(404, `No product found with ${lookup}`);
+  }
+
+  return product;
+}
+
+// The JSON we hand the model for a product
+export function productSeoContext(product) {
+  return {
+    title: product.title,
+    description: product.description,
+    vendor: product.vendor,
+    productType: product.productType,
+    tags: product.tags,
+    collections: (product.collections?.nodes || []).map((c) => c.title),
+    imageAltTexts: (product.images?.nodes || [])
+      .map((img) => img.altText)
+      .filter(Boolean),
+  };
+}
+
+// ---- Partial updates (update-product) ----
+
+const STATUSES = ["ACTIVE", "DRAFT", "ARCHIVED"];
+const METAFIELD_PART_RE = /^[\w-]+$/;
+
+// Top-level fields a partial update may set as-is
+const SIMPLE_FIELDS = [
+  "title",
+  "handle",
+  "descriptionHtml",
+  "vendor",
+  "productType",
+];
+
+function listOfStrings(value, name) {
+  if (!Array.isArray(value) || value.some((v) => typeof v !== "string")) {
+    throw new HttpError(400, `'${name}' must be an array of strings`);
+  }
+  return value.map((v) => v.trim()).filter(Boolean);
+}
+
+// [{ namespace, key, value, type? }] -> checked refs with a stable alias each
+export function parseMetafields(metafields) {
+  if (metafields === undefined) return [];
+  if (!Array.isArray(metafields)) {
+    throw new HttpError(400, "'metafields' must be an array");
+  }
+
+  return metafields.map((m, i) => {
+    const { namespace, key } = m || {};
+    if (!METAFIELD_PART_RE.test(namespace) || !METAFIELD_PART_RE.test(key)) {
+      throw new HttpError(
+        400,
+        `metafields[${i}] needs a 'namespace' and 'key' of letters, digits, _ or -`
+      );
+    }
+    if (typeof m.value !== "string") {
+      throw new HttpError(400, `metafields[${i}].value must be a string`);
+    }
+    return {
+      alias: `mf${i}`,
+      namespace,
+      key,
+      value: m.value,
+      type: m.type,
+    };
+  });
+}
+
+// The fields we diff; metafields are selected by alias so only the ones the
+// request touches are read
+function snapshotFields(metafieldRefs) {
+  return `
+    id
+    handle
+    title
+    descriptionHtml
+    vendor
+    productType
+    status
+    tags
+    seo {
+      title
+      description
+    }
+    ${metafieldRefs
+      .map(
+        (m) =>
+          `${m.alias}: metafield(namespace: "${m.namespace}", key: "${m.key}") {
+            value
+            type
+          }`
+      )
+      .join("\n")}
+  `;
+}
+
+// Flat { field: value } view of a product so before/after compare directly
+function flattenSnapshot(product, metafieldRefs) {
+  const flat = {
+    title: product.title,
+    handle: product.handle,
+    descriptionHtml: product.descriptionHtml,
+    vendor: product.vendor,
+    productType: product.productType,
+    status: product.status,
+    tags: [...(product.tags || [])].sort(),
+    seoTitle: product.seo?.title || null,
+    seoDescription: product.seo?.description || null,
+  };
+  for (const m of metafieldRefs) {
+    flat[`metafields.${m.namespace}.${m.key}`] = product[m.alias]?.value ?? null;
+  }
+  return flat;
+}
+
+export async function getProductSnapshot(productId, metafieldRefs = []) {
+  const query = `
+    query productSnapshot($id: ID!) {
+      product(id: $id) { ${snapshotFields(metafieldRefs)} }
+    }
+  `;
+  const product = (
+    await shopifyGraphql(query, { id: productGid(productId) }, "fetching product")
+  )?.product;
+
+  if (!product) {
+    throw new HttpError(404, `No product found with id "${productId}"`);
+  }
+  return product;
+}
+
+// Builds the ProductInput for only the fields present in `changes`, filling
+// in what productUpdate needs from the current product (the other SEO half,
+// the full tag list, existing metafield types)
+export function buildProductInput(changes, before, metafieldRefs) {
+  const input = { id: before.id };
+
+  for (const field of SIMPLE_FIELDS) {
+    if (changes[field] === undefined) continue;
+    const value = changes[field];
+    // descriptionHtml may be emptied, the rest can't be blank
+    const blank = typeof value === "string" && !value.trim();
+    if (typeof value !== "string" || (blank && field !== "descriptionHtml")) {
+      throw new HttpError(400, `'${field}' must be a non-empty string`);
+    }
+    input[field] = changes[field];
+  }
+
+  if (input.handle !== undefined && input.handle !== before.handle) {
+    // Old product URLs keep working unless the caller opts out
+    input.redirectNewHandle = changes.redirect !== false;
+  }
+
+  if (changes.status !== undefined) {
+    const status = String(changes.status).toUpperCase();
+    if (!STATUSES.includes(status)) {
+      throw new HttpError(400, `'status' must be one of: ${STATUSES.join(", ")}`);
+    }
+    input.status = status;
+  }
+
+  // SEOInput is written as a whole, so keep whichever half wasn't sent
+  if (changes.seoTitle !== undefined || changes.seoDescription !== undefined) {
+    input.seo = {
+      title:
+        changes.seoTitle !== undefined
+          ? changes.seoTitle || null
+          : before.seo?.title || null,
+      description:
+        changes.seoDescription !== undefined
+          ? changes.seoDescription || null
+          : before.seo?.description || null,
+    };
+  }
+
+  // tags replaces the list; tagsAdd / tagsRemove edit the current one
+  const { tags: setTags, tagsAdd, tagsRemove } = changes;
+  if (setTags !== undefined || tagsAdd !== undefined || tagsRemove !== undefined) {
+    let tags =
+      setTags !== undefined ? listOfStrings(setTags, "tags") : [...before.tags];
+    if (tagsAdd !== undefined) {
+      const lower = tags.map((t) => t.toLowerCase());
+      for (const tag of listOfStrings(tagsAdd, "tagsAdd")) {
+        if (!lower.includes(tag.toLowerCase())) {
+          tags.push(tag);
+          lower.push(tag.toLowerCase());
+        }
+      }
+    }
+    if (tagsRemove !== undefined) {
+      const remove = listOfStrings(tagsRemove, "tagsRemove").map((t) =>
+        t.toLowerCase()
+      );
+      tags = tags.filter((t) => !remove.includes(t.toLowerCase()));
+    }
+    input.tags = tags;
+  }
+
+  if (metafieldRefs.length > 0) {
+    input.metafields = metafieldRefs.map((m) => {
+      const type = m.type || before[m.alias]?.type;
+      if (!type) {
+        throw new HttpError(
+          400,
+          `'type' is required for new metafield ${m.namespace}.${m.key}`
+        );
+      }
+      return { namespace: m.namespace, key: m.key, type, value: m.value };
+    });
+  }
+
+  return input;
+}
+
+// { field: { before, after } } for every field that differs
+export function diffProduct(before, after, metafieldRefs) {
+  const a = flattenSnapshot(before, metafieldRefs);
+  const b = flattenSnapshot(after, metafieldRefs);
+  const diff = {};
+
+  for (const field of Object.keys(b)) {
+    if (JSON.stringify(a[field]) !== JSON.stringify(b[field])) {
+      diff[field] = { before: a[field], after: b[field] };
+    }
+  }
+  return diff;
+}
+
+// Reads the product, applies only the sent fields and returns the diff.
+// Nothing is written when the sent values match what's already there.
+export async function applyProductChanges(productId, changes) {
+  const metafieldRefs = parseMetafields(changes.metafields);
+  const before = await getProductSnapshot(productId, metafieldRefs);
+  const input = buildProductInput(changes, before, metafieldRefs);
+
+  if (Object.keys(input).length === 1) {
+    throw new HttpError(400, "Nothing to update in body");
+  }
+
+  const planned = { ...before, ...plannedFields(input, metafieldRefs) };
+  if (Object.keys(diffProduct(before, planned, metafieldRefs)).length === 0) {
+    return { before, after: before, diff: {}, changed: false };
+  }
+
+  const after = await updateProduct(input, snapshotFields(metafieldRefs));
+  return {
+    before,
+    after,
+    diff: diffProduct(before, after, metafieldRefs),
+    changed: true,
+  };
+}
+
+// What the snapshot would look like once `input` is applied, for the no-op check
+function plannedFields(input, metafieldRefs) {
+  const planned = {};
+  for (const field of [...SIMPLE_FIELDS, "status", "tags", "seo"]) {
+    if (input[field] !== undefined) planned[field] = input[field];
+  }
+  for (const m of metafieldRefs) planned[m.alias] = { value: m.value };
+  return planned;
+}
+
+// ---- Audit log / revert ----
+
+// Flat audit state of what a ProductInput sets. Metafields keep their type
+// so a revert can write them back.
+function productInputState(input) {
+  const state = {};
+  for (const field of [...SIMPLE_FIELDS, "status"]) {
+    if (input[field] !== undefined) state[field] = input[field];
+  }
+  if (input.tags !== undefined) state.tags = [...input.tags].sort();
+  if (input.seo !== undefined) {
+    state.seoTitle = input.seo?.title || null;
+    state.seoDescription = input.seo?.description || null;
+  }
+  for (const m of input.metafields || []) {
+    state[`metafields.${m.namespace}.${m.key}`] = {
+      value: m.value,
+      type: m.type,
+    };
+  }
+  return state;
+}
+
+function metafieldRefsFromKeys(keys) {
+  return keys
+    .filter((key) => key.startsWith("metafields."))
+    .map((key, i) => {
+      const [, namespace, ...rest] = key.split(".");
+      return { alias: `mf${i}`, namespace, key: rest.join(".") };
+    });
+}
+
+// The product's current values for the given audit state keys
+export async function readProductState(productId, keys) {
+  const refs = metafieldRefsFromKeys(keys);
+  const product = await getProductSnapshot(productId, refs);
+  const state = flattenSnapshot(product, refs);
+
+  for (const m of refs) {
+    const metafield = product[m.alias];
+    state[`metafields.${m.namespace}.${m.key}`] = metafield
+      ? { value: metafield.value, type: metafield.type }
+      : null;
+  }
+  return pickState(state, keys);
+}
+
+const METAFIELDS_DELETE_MUTATION = `
+  mutation metafieldsDelete($metafields: [MetafieldIdentifierInput!]!) {
+    metafieldsDelete(metafields: $metafields) {
+      deletedMetafields {
+        key
+        namespace
+      }
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
+// Deletes [{ namespace, key }] metafields from the product
+export async function deleteProductMetafields(productId, metafields) {
+  const ownerId = productGid(productId);
+  const keys = metafields.map((m) => `metafields.${m.namespace}.${m.key}`);
+
+  return auditedWrite({
+    resource: { type: "product", id: ownerId },
+    before: () => readProductState(ownerId, keys),
+    write: () =>
+      shopifyMutation(
+        METAFIELDS_DELETE_MUTATION,
+        {
+          metafields: metafields.map((m) => ({
+            ownerId,
+            namespace: m.namespace,
+            key: m.key,
+          })),
+        },
+        "metafieldsDelete"
+      ),
+    after: Object.fromEntries(keys.map((key) => [key, null])),
+  });
+}
+
+// Writes an audit state back: productUpdate for the fields, metafieldsDelete
+// for metafields that didn't exist before
+export async function restoreProductState(productId, state) {
+  const input = { id: productGid(productId) };
+  const removed = [];
+
+  for (const [key, value] of Object.entries(state)) {
+    if (key.startsWith("metafields.")) {
+      const [, namespace, ...rest] = key.split(".");
+      if (value === null) removed.push({ namespace, key: rest.join(".") });
+      else {
+        input.metafields ||= [];
+        input.metafields.push({ namespace, key: rest.join("."), ...value });
+      }
+    } else if (key === "seoTitle" || key === "seoDescription") {
+      input.seo = {
+        title: state.seoTitle ?? null,
+        description: state.seoDescription ?? null,
+      };
+    } else {
+      input[key] = value;
+    }
+  }
+  // Keep whatever URL the reverted handle had working
+  if (input.handle !== undefined) input.redirectNewHandle = true;
+
+  if (Object.keys(input).length > 1) await updateProduct(input);
+  if (removed.length > 0) await deleteProductMetafields(productId, removed);
+}
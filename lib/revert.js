@@ -0,0 +1,246 @@
+// lib/revert.js
+// Puts audit log entries back. Each entry's `before` is written through the
+// same helpers that made the change, so a revert is logged too (with
+// `revertOf`) and can itself be reverted. Used by api/revert.js.
+import { readMediaAltState, restoreMediaAltState } from "./alt-text.js";
+import {
+  createArticle,
+  deleteArticle,
+  readArticleState,
+  updateArticle,
+} from "./articles.js";
+import {
+  getAuditContext,
+  getAuditEntry,
+  listAuditEntries,
+  runWithAuditContext,
+} from "./audit-log.js";
+import { readCollectionState, restoreCollectionState } from "./collections.js";
+import { HttpError } from "./errors.js";
+import { readProductState, restoreProductState } from "./products.js";
+import { readTranslationState, restoreTranslationState } from "./translate.js";
+
+// More than this in one go is better done in several calls
+const MAX_REVERT_ENTRIES = 200;
+
+// How to read and write back the audit state of each resource type
+const RESOURCES = {
+  product: {
+    read: (resource, keys) => readProductState(resource.id, keys),
+    restore: (resource, state) => restoreProductState(resource.id, state),
+  },
+  collection: {
+    read: (resource, keys) => readCollectionState(resource.id, keys),
+    restore: (resource, state) => restoreCollectionState(resource.id, state),
+  },
+  article: {
+    read: async (resource, keys) =>
+      (await readArticleState(resource.id, keys)).state,
+    restore: (resource, state) => updateArticle(resource.id, state),
+  },
+  translation: {
+    read: (resource, keys) => readTranslationState(resource.id, keys),
+    restore: (resource, state) => restoreTranslationState(resource.id, state),
+  },
+  product_media: {
+    read: (resource, keys) => readMediaAltState(resource.id, keys),
+    restore: (resource, state) => restoreMediaAltState(resource.id, state),
+  },
+};
+
+function resourceKey(resource) {
+  return `${resource.type}:${resource.id}`;
+}
+
+// Shopify hands back dates in the shop's offset and tidies whitespace, so
+// compare dates by time and text without whitespace differences. Objects
+// (images, metafields) only compare the keys both sides have.
+function sameValue(a, b) {
+  if (a === b) return true;
+  if (a === null || b === null || a === undefined || b === undefined) {
+    return (a ?? null) === (b ?? null);
+  }
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((v, i) => sameValue(v, b[i]));
+  }
+  if (typeof a === "object" && typeof b === "object") {
+    return Object.keys(a)
+      .filter((key) => key in b)
+      .every((key) => sameValue(a[key], b[key]));
+  }
+  if (typeof a === "string" && typeof b === "string") {
+    const dateA = Date.parse(a);
+    const dateB = Date.parse(b);
+    if (/^\d{4}-\d\d-\d\dT/.test(a) && dateA === dateB) return true;
+    return a.replace(/\s+/g, " ").trim() === b.replace(/\s+/g, " ").trim();
+  }
+  return false;
+}
+
+// Keys of `expected` whose current value differs
+function changedKeys(expected, current) {
+  return Object.keys(expected).filter(
+    (key) => !sameValue(expected[key], current[key])
+  );
+}
+
+// The entries a revert undoes, newest first. For an entry that's it and
+// every later change to the same resource, so the resource ends up as it was
+// right before the entry; for a batch it's every entry in the batch.
+export async function findRevertEntries({ entryId, batchId }) {
+  if (!entryId === !batchId) {
+    throw new HttpError(400, "Provide either 'entryId' or 'batchId'");
+  }
+
+  let entries;
+  if (batchId) {
+    const found = await listAuditEntries({
+      batchId: String(batchId),
+      limit: MAX_REVERT_ENTRIES,
+    });
+    if (found.truncated) {
+      throw new HttpError(
+        400,
+        `Batch has more than ${MAX_REVERT_ENTRIES} entries; revert them by entryId`
+      );
+    }
+    entries = found.entries;
+    if (entries.length === 0) {
+      throw new HttpError(404, `No audit entries in batch "${batchId}"`);
+    }
+  } else {
+    const entry = await getAuditEntry(String(entryId));
+    const found = await listAuditEntries({
+      resourceType: entry.resource.type,
+      resourceId: entry.resource.id,
+      since: entry.at,
+      limit: MAX_REVERT_ENTRIES + 1,
+    });
+    const key = resourceKey(entry.resource);
+    const later = found.entries.filter((e) => resourceKey(e.resource) === key);
+    const index = later.findIndex((e) => e.id === entry.id);
+    if (index === -1 || index >= MAX_REVERT_ENTRIES) {
+      throw new HttpError(
+        400,
+        `More than ${MAX_REVERT_ENTRIES} later changes to this resource`
+      );
+    }
+    entries = later.slice(0, index + 1);
+  }
+
+  return entries;
+}
+
+// Reads the live values of `keys` and compares them with what the entry
+// left behind; null when they still match
+async function checkConflict(entry, keys) {
+  const { resource, after } = entry;
+  let current;
+  try {
+    current = await RESOURCES[resource.type].read(resource, keys);
+  } catch (err) {
+    if (err instanceof HttpError && err.status === 404) {
+      return { message: `${resource.type} no longer exists`, keys: [] };
+    }
+    throw err;
+  }
+
+  const changed = changedKeys(pickKeys(after, keys), current);
+  return changed.length > 0
+    ? { message: "Changed since this entry", keys: changed, current }
+    : null;
+}
+
+function pickKeys(state, keys) {
+  return Object.fromEntries(keys.map((key) => [key, state[key]]));
+}
+
+async function undoEntry(entry) {
+  const { resource, action, before } = entry;
+  if (action === "create") return deleteArticle(resource.id);
+  if (action === "delete") return createArticle(resource.blogId, before);
+  return RESOURCES[resource.type].restore(resource, before);
+}
+
+function describeStep(entry) {
+  return {
+    entryId: entry.id,
+    at: entry.at,
+    who: entry.who,
+    endpoint: entry.endpoint,
+    resource: entry.resource,
+    action: entry.action,
+    restore: entry.action === "create" ? { deleted: true } : entry.before,
+  };
+}
+
+// Previews (mode "preview") or applies a revert. First every entry's fields
+// are checked against the live store, except those a newer step of the
+// revert puts back anyway: a resource that changed since is left alone
+// entirely unless `force`. Then the steps run newest first; when one fails,
+// the older steps for that resource are skipped so it isn't left half way.
+export async function revertEntries(entries, { mode, force = false }) {
+  const steps = entries.map(describeStep);
+  const blocked = new Set();
+  const restored = new Map();
+
+  for (const [i, entry] of entries.entries()) {
+    const key = resourceKey(entry.resource);
+    if (blocked.has(key)) continue;
+
+    // A deleted article has nothing live to compare with
+    const covered = restored.get(key) || new Set();
+    const keys =
+      entry.action === "delete"
+        ? []
+        : Object.keys(entry.after || {}).filter((k) => !covered.has(k));
+
+    if (keys.length > 0) {
+      const conflict = await checkConflict(entry, keys);
+      if (conflict) {
+        steps[i].conflict = conflict;
+        if (!force) {
+          steps[i].status = "conflict";
+          blocked.add(key);
+        }
+      }
+    }
+    for (const k of Object.keys(entry.before || entry.after || {})) {
+      covered.add(k);
+    }
+    restored.set(key, covered);
+  }
+
+  for (const [i, entry] of entries.entries()) {
+    const step = steps[i];
+    const key = resourceKey(entry.resource);
+    if (step.status) continue;
+    if (blocked.has(key)) {
+      step.status = "skipped";
+      continue;
+    }
+    if (mode !== "apply") {
+      step.status = "preview";
+      continue;
+    }
+
+    try {
+      const context = getAuditContext() || {};
+      await runWithAuditContext({ ...context, revertOf: entry.id }, () =>
+        undoEntry(entry)
+      );
+      step.status = "reverted";
+    } catch (err) {
+      step.status = "failed";
+      step.error = err.message;
+      if (err instanceof HttpError) Object.assign(step, err.extra);
+      blocked.add(key);
+    }
+  }
+
+  const summary = {};
+  for (const step of steps) {
+    summary[step.status] = (summary[step.status] || 0) + 1;
+  }
+  return { summary, steps };
+}
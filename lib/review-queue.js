@@ -0,0 +1,462 @@
+// lib/review-queue.js
+// Human review for AI output. With mode "review" the translate and
+// generate-*-seo endpoints (and the webhook queue with WEBHOOK_REVIEW=1) put
+// what they would have written here instead of writing it. A person lists
+// the items, edits them if needed and approves or rejects them; approving
+// writes through the same helpers as the endpoints, so it lands in the audit
+// log under the approver.
+//
+// One document per item in DATA_DIR/review-queue/<id>.json:
+//   { id, kind: "translation" | "seo", status, resource: { type, id, handle,
+//     title }, locale, fields: { key: { original, generated, proposed,
+//     digest? } }, checks, candidates?, createdAt, createdBy, endpoint,
+//     reviewedAt, reviewedBy, note, error, history: [{ at, who, action }] }
+// A newer item for the same resource (and locale) supersedes a pending one.
+import crypto from "crypto";
+import { getAuditContext, runWithAuditContext } from "./audit-log.js";
+import { HttpError } from "./errors.js";
+import {
+  checkGlossaryTerms,
+  glossaryForText,
+  loadGlossary,
+  protectedTermsFor,
+} from "./glossary.js";
+import { validateTranslation } from "./html-validate.js";
+import { checkSeoLengths } from "./seo.js";
+import { SEO_TARGETS } from "./seo-targets.js";
+import { numericId } from "./shopify.js";
+import { isValidStoreId, listJson, readJson, writeJson } from "./store.js";
+import { getContentDigests, registerTranslations } from "./translate.js";
+
+export const REVIEW_KINDS = ["translation", "seo"];
+export const REVIEW_STATUSES = [
+  "pending",
+  "approved",
+  "rejected",
+  "failed",
+  "superseded",
+];
+
+// Approve / reject take at most this many ids per call
+const MAX_IDS_PER_CALL = 50;
+const DEFAULT_LIST_LIMIT = 50;
+const MAX_LIST_LIMIT = 500;
+
+// Time first, like audit log ids, so they sort by age
+function newReviewId() {
+  return `${Date.now().toString(36)}-${crypto.randomBytes(4).toString("hex")}`;
+}
+
+const itemName = (id) => `review-queue/${id}`;
+
+export async function getReviewItem(id) {
+  if (!isValidStoreId(id)) throw new HttpError(400, "Invalid review item id");
+  const item = await readJson(itemName(id));
+  if (!item) throw new HttpError(404, `No review item with id "${id}"`);
+  return item;
+}
+
+async function saveItem(item) {
+  await writeJson(itemName(item.id), item);
+}
+
+async function listAllItems() {
+  const names = await listJson("review-queue");
+  const items = await Promise.all(names.map((name) => readJson(name)));
+  return items.filter(Boolean).sort((a, b) => b.id.localeCompare(a.id));
+}
+
+const sameTarget = (a, b) =>
+  a.kind === b.kind &&
+  a.resource.type === b.resource.type &&
+  numericId(a.resource.id) === numericId(b.resource.id) &&
+  a.locale === b.locale;
+
+function who() {
+  return getAuditContext()?.who || null;
+}
+
+async function queueItem({ kind, resource, locale = null, fields, extra }) {
+  const context = getAuditContext() || {};
+  const at = new Date().toISOString();
+  const item = {
+    id: newReviewId(),
+    kind,
+    status: "pending",
+    resource,
+    locale,
+    fields,
+    checks: null,
+    ...extra,
+    createdAt: at,
+    createdBy: context.who || null,
+    endpoint: context.endpoint || null,
+    reviewedAt: null,
+    reviewedBy: null,
+    note: null,
+    error: null,
+    history: [{ at, who: context.who || null, action: "queued" }],
+  };
+  item.checks = await runChecks(item);
+
+  for (const older of await listAllItems()) {
+    if (older.status !== "pending" || !sameTarget(older, item)) continue;
+    older.status = "superseded";
+    older.history.push({
+      at,
+      who: item.createdBy,
+      action: `superseded by ${item.id}`,
+    });
+    await saveItem(older);
+  }
+
+  await saveItem(item);
+  return item;
+}
+
+// Proposed translations for one resource and locale. `inputs` are the
+// TranslationInput[] translateResource would have registered.
+export function queueTranslationReview({
+  type,
+  resourceId,
+  locale,
+  original,
+  htmlKeys,
+  inputs,
+}) {
+  const fields = {};
+  for (const { key, value, translatableContentDigest } of inputs) {
+    fields[key] = {
+      original: original[key],
+      generated: value,
+      proposed: value,
+      digest: translatableContentDigest,
+      html: htmlKeys.includes(key),
+    };
+  }
+
+  return queueItem({
+    kind: "translation",
+    resource: { type, id: resourceId },
+    locale,
+    fields,
+  });
+}
+
+// A proposed SEO title / description for `node`, a resource of `type` as
+// SEO_TARGETS loads it. `keys` limits the item to some halves, e.g. only the
+// one that is empty.
+export function queueSeoReview({
+  type,
+  node,
+  chosen,
+  candidates,
+  keys = ["seoTitle", "seoDescription"],
+}) {
+  const { id, handle, title, current } = SEO_TARGETS[type].describe(node);
+  const resource = { type, id, handle, title };
+  const fields = {};
+  for (const key of keys) {
+    fields[key] = {
+      original: current[key] || null,
+      generated: chosen[key],
+      proposed: chosen[key],
+    };
+  }
+
+  return queueItem({ kind: "seo", resource, fields, extra: { candidates } });
+}
+
+// Warnings for the reviewer on the proposed values; they don't block approval
+async function runChecks(item) {
+  const proposed = Object.fromEntries(
+    Object.entries(item.fields).map(([key, f]) => [key, f.proposed])
+  );
+
+  if (item.kind === "seo") return checkSeoLengths(proposed);
+
+  const glossary = await loadGlossary();
+  const checks = {};
+  for (const [key, field] of Object.entries(item.fields)) {
+    const validation = validateTranslation(field.original, field.proposed, {
+      html: field.html,
+      protectedTerms: protectedTermsFor(glossary),
+    });
+    const { terms } = glossaryForText(glossary, item.locale, field.original);
+    checks[key] = {
+      ok: validation.ok,
+      issues: [
+        ...validation.issues,
+        ...checkGlossaryTerms(field.original, field.proposed, terms),
+      ],
+    };
+  }
+  return checks;
+}
+
+function assertReviewable(item, action) {
+  if (item.status !== "pending" && item.status !== "failed") {
+    throw new HttpError(
+      409,
+      `Review item "${item.id}" is ${item.status} and can't be ${action}`
+    );
+  }
+}
+
+// Replaces proposed values: `fields` is { key: value } with keys the item has
+export async function editReviewItem(id, fields, { note } = {}) {
+  const item = await getReviewItem(id);
+  assertReviewable(item, "edited");
+
+  if (!fields || typeof fields !== "object" || !Object.keys(fields).length) {
+    throw new HttpError(400, "'fields' must be an object of key -> new value");
+  }
+
+  const changes = {};
+  for (const [key, value] of Object.entries(fields)) {
+    if (!item.fields[key]) {
+      const known = Object.keys(item.fields).join(", ");
+      throw new HttpError(
+        400,
+        `Review item has no field "${key}". Fields: ${known}`
+      );
+    }
+    if (typeof value !== "string" || !value.trim()) {
+      throw new HttpError(400, `'fields.${key}' must be a non-empty string`);
+    }
+    changes[key] = { from: item.fields[key].proposed, to: value };
+    item.fields[key].proposed = value;
+  }
+
+  item.checks = await runChecks(item);
+  if (note !== undefined) item.note = note ? String(note) : null;
+  item.history.push({
+    at: new Date().toISOString(),
+    who: who(),
+    action: "edited",
+    changes,
+  });
+  await saveItem(item);
+  return item;
+}
+
+// ---- Approving ----
+
+// Registers the proposed translations. Keys whose source text changed since
+// the item was queued are a conflict unless `force`, which registers them
+// against the current source.
+async function applyTranslation(item, force) {
+  const digests = await getContentDigests(item.resource.id);
+  const stale = Object.keys(item.fields).filter(
+    (key) => digests[key] !== item.fields[key].digest
+  );
+  if (stale.length > 0 && !force) {
+    throw new HttpError(409, "Source text changed since this was generated", {
+      conflict: { keys: stale },
+    });
+  }
+
+  const inputs = Object.entries(item.fields)
+    .filter(([key]) => digests[key])
+    .map(([key, field]) => ({
+      locale: item.locale,
+      key,
+      value: field.proposed,
+      translatableContentDigest: digests[key],
+    }));
+  const result = await registerTranslations(item.resource.id, inputs);
+
+  const userErrors = result?.userErrors || [];
+  if (userErrors.length > 0) {
+    throw new HttpError(400, "Shopify translationsRegister userErrors", {
+      userErrors,
+    });
+  }
+  return { registered: (result?.translations || []).map((t) => t.key) };
+}
+
+// Writes the proposed SEO. SEO someone changed since the item was queued is a
+// conflict unless `force`.
+async function applySeo(item, force) {
+  const target = SEO_TARGETS[item.resource.type];
+  const live = await target.load(item.resource.id);
+  const current = target.getSeo(live);
+
+  const changed = Object.keys(item.fields).filter(
+    (key) => (current[key] || null) !== item.fields[key].original
+  );
+  if (changed.length > 0 && !force) {
+    throw new HttpError(409, "SEO changed since this was generated", {
+      conflict: { keys: changed, current },
+    });
+  }
+
+  // Halves the item doesn't cover are written back as they are
+  const proposed = Object.fromEntries(
+    Object.entries(item.fields).map(([key, f]) => [key, f.proposed])
+  );
+  await target.write(live, { ...current, ...proposed });
+  return { written: Object.keys(item.fields) };
+}
+
+export function parseReviewIds({ id, ids }) {
+  const list = ids !== undefined ? ids : id !== undefined ? [id] : [];
+  if (!Array.isArray(list) || list.length === 0) {
+    throw new HttpError(400, "Provide 'id' or a non-empty 'ids' array");
+  }
+  if (list.length > MAX_IDS_PER_CALL) {
+    throw new HttpError(400, `At most ${MAX_IDS_PER_CALL} ids per call`);
+  }
+  return list.map(String);
+}
+
+// Approves and applies each item. One failing doesn't stop the others: a
+// conflict leaves the item pending, any other error marks it failed so it
+// can be approved again. Returns [{ id, status, error?, conflict? }].
+export async function approveReviewItems(ids, { force = false, note } = {}) {
+  const results = [];
+
+  for (const id of ids) {
+    let item;
+    try {
+      item = await getReviewItem(id);
+      assertReviewable(item, "approved");
+    } catch (err) {
+      if (!(err instanceof HttpError)) throw err;
+      results.push({ id, status: "error", error: err.message });
+      continue;
+    }
+
+    const at = new Date().toISOString();
+    // The write is logged with the approver and the item as the reason
+    const context = getAuditContext() || {};
+    try {
+      const reason = context.reason || `Approved review item ${id}`;
+      const applied = await runWithAuditContext({ ...context, reason }, () =>
+        item.kind === "seo"
+          ? applySeo(item, force)
+          : applyTranslation(item, force)
+      );
+      item.status = "approved";
+      item.reviewedAt = at;
+      item.reviewedBy = who();
+      item.error = null;
+      if (note !== undefined) item.note = note ? String(note) : null;
+      item.history.push({ at, who: who(), action: "approved" });
+      results.push({ id, status: "approved", ...applied });
+    } catch (err) {
+      if (!(err instanceof HttpError)) {
+        console.error(`Review item ${id} failed to apply:`, err);
+      }
+      const conflict = err instanceof HttpError && err.status === 409;
+      if (!conflict) item.status = "failed";
+      item.error = err.message;
+      item.history.push({
+        at,
+        who: who(),
+        action: conflict ? "approve-conflict" : "approve-failed",
+        error: err.message,
+      });
+      results.push({
+        id,
+        status: conflict ? "conflict" : "failed",
+        error: err.message,
+        ...(err instanceof HttpError ? err.extra : {}),
+      });
+    }
+    await saveItem(item);
+  }
+
+  return results;
+}
+
+export async function rejectReviewItems(ids, { note } = {}) {
+  const results = [];
+
+  for (const id of ids) {
+    try {
+      const item = await getReviewItem(id);
+      assertReviewable(item, "rejected");
+
+      const at = new Date().toISOString();
+      item.status = "rejected";
+      item.reviewedAt = at;
+      item.reviewedBy = who();
+      if (note !== undefined) item.note = note ? String(note) : null;
+      item.history.push({ at, who: who(), action: "rejected" });
+      await saveItem(item);
+      results.push({ id, status: "rejected" });
+    } catch (err) {
+      if (!(err instanceof HttpError)) throw err;
+      results.push({ id, status: "error", error: err.message });
+    }
+  }
+
+  return results;
+}
+
+// ---- Listing ----
+
+export function parseReviewQuery(query = {}) {
+  const {
+    status = "pending",
+    kind,
+    resource_type: resourceType,
+    resource_id: resourceId,
+    locale,
+    limit,
+  } = query;
+
+  if (status !== "all" && !REVIEW_STATUSES.includes(status)) {
+    throw new HttpError(
+      400,
+      `'status' must be "all" or one of: ${REVIEW_STATUSES.join(", ")}`
+    );
+  }
+  if (kind && !REVIEW_KINDS.includes(kind)) {
+    throw new HttpError(400, `'kind' must be one of: ${REVIEW_KINDS.join(", ")}`);
+  }
+
+  let max = DEFAULT_LIST_LIMIT;
+  if (limit !== undefined && limit !== "") {
+    max = Number(limit);
+    if (!Number.isInteger(max) || max < 1 || max > MAX_LIST_LIMIT) {
+      throw new HttpError(
+        400,
+        `'limit' must be a whole number between 1 and ${MAX_LIST_LIMIT}`
+      );
+    }
+  }
+
+  return {
+    status,
+    kind: kind || null,
+    resourceType: resourceType || null,
+    resourceId: resourceId ? String(resourceId) : null,
+    locale: locale || null,
+    limit: max,
+  };
+}
+
+// Newest first, with counts per status over every item
+export async function listReviewItems(filter) {
+  const all = await listAllItems();
+  const counts = Object.fromEntries(REVIEW_STATUSES.map((s) => [s, 0]));
+  for (const item of all) counts[item.status] += 1;
+
+  const matching = all.filter(
+    (item) =>
+      (filter.status === "all" || item.status === filter.status) &&
+      (!filter.kind || item.kind === filter.kind) &&
+      (!filter.resourceType || item.resource.type === filter.resourceType) &&
+      (!filter.resourceId ||
+        numericId(item.resource.id) === numericId(filter.resourceId)) &&
+      (!filter.locale || item.locale === filter.locale)
+  );
+
+  return {
+    counts,
+    items: matching.slice(0, filter.limit),
+    truncated: matching.length > filter.limit,
+  };
+}
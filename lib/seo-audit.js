@@ -0,0 +1,589 @@
+// lib/seo-audit.js
+// Store-wide SEO audit: reads products, collections and articles, flags
+// problems per item, scores them and points each problem at the endpoint
+// that fixes it. Used by api/seo-audit.js.
+//
+// A store is read a page at a time into a saved audit (seo-audits/<id>), so
+// each call only does what fits in the serverless time budget and the next
+// call with the auditId picks up where the last one stopped. The report is
+// built once everything is read, since duplicates need every item.
+import crypto from "crypto";
+import { altTextProblem } from "./alt-text.js";
+import { HttpError } from "./errors.js";
+import { stripTags } from "./html-validate.js";
+import { MAX_ALL_ITEMS, paginate } from "./pagination.js";
+import { SEO_LIMITS } from "./seo.js";
+import { numericId, shopifyGraphql } from "./shopify.js";
+import { isValidStoreId, readJson, writeJson } from "./store.js";
+import { listTranslatableResourcesPage } from "./translate.js";
+
+export const AUDIT_TYPES = ["products", "collections", "articles"];
+
+// Points off an item's 100 per issue
+const SEVERITY_PENALTY = { error: 15, warning: 7, notice: 3 };
+
+// Below this much visible text a page has too little for search to go on
+const THIN_CONTENT_CHARS = { product: 150, collection: 100, article: 1500 };
+
+// Translatable keys we expect in every published locale
+const TRANSLATION_KEYS = ["title", "body_html", "meta_title", "meta_description"];
+
+export function parseAuditTypes(types) {
+  if (!types) return AUDIT_TYPES;
+  const list = String(types)
+    .split(",")
+    .map((t) => t.trim())
+    .filter(Boolean);
+  const invalid = list.filter((t) => !AUDIT_TYPES.includes(t));
+  if (list.length === 0 || invalid.length > 0) {
+    throw new HttpError(
+      400,
+      `'types' must be any of: ${AUDIT_TYPES.join(", ")}`
+    );
+  }
+  return list;
+}
+
+// ---- Reading the store ----
+
+const SOURCES = {
+  product: {
+    connection: "products",
+    // media(first: 20) costs ~22 points per product; Shopify rejects any
+    // single query over 1,000, so 25 products a page keeps well under it
+    maxPageSize: 25,
+    fields: `
+      id
+      handle
+      title
+      description
+      seo {
+        title
+        description
+      }
+      media(first: 20) {
+        nodes {
+          ... on MediaImage {
+            id
+            alt
+          }
+        }
+      }
+    `,
+    shape: (p) => ({
+      title: p.title,
+      seoTitle: p.seo?.title || null,
+      seoDescription: p.seo?.description || null,
+      text: p.description,
+      imageAlts: (p.media?.nodes || []).filter((m) => m?.id).map((m) => m.alt),
+    }),
+  },
+  collection: {
+    connection: "collections",
+    maxPageSize: 250,
+    fields: `
+      id
+      handle
+      title
+      description
+      seo {
+        title
+        description
+      }
+      image {
+        altText
+      }
+    `,
+    shape: (c) => ({
+      title: c.title,
+      seoTitle: c.seo?.title || null,
+      seoDescription: c.seo?.description || null,
+      text: c.description,
+      imageAlts: c.image ? [c.image.altText] : [],
+    }),
+  },
+  article: {
+    connection: "articles",
+    maxPageSize: 100,
+    fields: `
+      id
+      handle
+      title
+      body
+      image {
+        altText
+      }
+      seoTitle: metafield(namespace: "global", key: "title_tag") {
+        value
+      }
+      seoDescription: metafield(namespace: "global", key: "description_tag") {
+        value
+      }
+    `,
+    shape: (a) => ({
+      title: a.title,
+      seoTitle: a.seoTitle?.value || null,
+      seoDescription: a.seoDescription?.value || null,
+      text: a.body,
+      imageAlts: a.image ? [a.image.altText] : [],
+    }),
+  },
+};
+
+// One page of items of one type from `cursor`, normalised. Only the text's
+// length is kept, so a saved audit stays small.
+async function fetchItemsPage(type, cursor) {
+  const { connection, fields, maxPageSize, shape } = SOURCES[type];
+  const query = `
+    query auditItems($first: Int!, $after: String) {
+      ${connection}(first: $first, after: $after) {
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+        nodes { ${fields} }
+      }
+    }
+  `;
+
+  const { items, nextCursor } = await paginate(
+    async (variables) =>
+      (await shopifyGraphql(query, variables, `auditing ${connection}`))?.[
+        connection
+      ] || {},
+    { limit: maxPageSize, cursor, all: false },
+    { maxPageSize }
+  );
+
+  return {
+    nextCursor,
+    items: items.map((node) => {
+      const { text, ...shaped } = shape(node);
+      return {
+        type,
+        id: node.id,
+        numericId: numericId(node.id),
+        handle: node.handle,
+        ...shaped,
+        textLength: stripTags(text || "").replace(/\s+/g, " ").trim().length,
+      };
+    }),
+  };
+}
+
+// One page of translatable resources: { gaps, count, nextCursor }, where gaps
+// is { numericId: { locale: { missing: [keys], outdated: [keys] } } } for
+// every resource with a gap in at least one locale
+async function fetchTranslationGapsPage(type, locales, cursor) {
+  const { resources, nextCursor } = await listTranslatableResourcesPage(
+    type,
+    locales,
+    { cursor }
+  );
+  const gaps = {};
+  for (const resource of resources) {
+    const keys = resource.content
+      .map((c) => c.key)
+      .filter((k) => TRANSLATION_KEYS.includes(k));
+    const byLocale = {};
+
+    for (const locale of locales) {
+      const translations = resource.translations[locale];
+      const missing = keys.filter(
+        (k) => !translations.some((t) => t.key === k)
+      );
+      const outdated = translations
+        .filter((t) => t.outdated && keys.includes(t.key))
+        .map((t) => t.key);
+      if (missing.length || outdated.length) {
+        byLocale[locale] = { missing, outdated };
+      }
+    }
+
+    if (Object.keys(byLocale).length) {
+      gaps[numericId(resource.resourceId)] = byLocale;
+    }
+  }
+  return { gaps, count: resources.length, nextCursor };
+}
+
+// ---- Checks ----
+
+// Where to send each kind of fix, with the id in the shape that endpoint takes
+const FIXES = {
+  product: {
+    seo: (item) => ({
+      endpoint: "/api/generate-product-seo",
+      body: { productId: item.id },
+    }),
+    alt: (item) => ({
+      endpoint: "/api/generate-alt-text",
+      body: { productId: item.id },
+    }),
+    content: (item) => ({
+      endpoint: "/api/update-product",
+      body: { productId: item.id },
+    }),
+  },
+  collection: {
+    seo: (item) => ({
+      endpoint: "/api/generate-collection-seo",
+      body: { collectionId: item.id },
+    }),
+    alt: () => null,
+    content: () => null,
+  },
+  article: {
+    seo: (item) => ({
+      endpoint: "/api/generate-article-seo",
+      body: { articleId: item.numericId },
+    }),
+    alt: (item) => ({
+      endpoint: "/api/update-article",
+      body: { articleId: item.numericId },
+    }),
+    content: (item) => ({
+      endpoint: "/api/update-article",
+      body: { articleId: item.numericId },
+    }),
+  },
+};
+
+function translationFix(item, locale) {
+  return {
+    endpoint: "/api/translate-resource",
+    body: { type: item.type, id: item.numericId, locales: [locale] },
+  };
+}
+
+function lengthIssues(item, field, label, limits) {
+  const value = (item[field] || "").trim();
+  const fix = FIXES[item.type].seo(item);
+
+  if (!value) {
+    return [
+      {
+        code: `seo_${label}_missing`,
+        severity: "error",
+        message: `No meta ${label}`,
+        fix,
+      },
+    ];
+  }
+  if (value.length < limits.min || value.length > limits.max) {
+    const tooShort = value.length < limits.min;
+    return [
+      {
+        code: `seo_${label}_${tooShort ? "short" : "long"}`,
+        severity: "warning",
+        message: `Meta ${label} is ${value.length} chars (${
+          tooShort ? `min ${limits.min}` : `max ${limits.max}`
+        })`,
+        fix,
+      },
+    ];
+  }
+  return [];
+}
+
+function itemIssues(item, gaps) {
+  const issues = [
+    ...lengthIssues(item, "seoTitle", "title", SEO_LIMITS.title),
+    ...lengthIssues(
+      item,
+      "seoDescription",
+      "description",
+      SEO_LIMITS.description
+    ),
+  ];
+
+  const missingAlt = item.imageAlts.filter(
+    (alt) => !String(alt || "").trim()
+  ).length;
+  const weakAlt = item.imageAlts.filter((alt) => {
+    const problem = altTextProblem(alt, item.title);
+    return problem && problem !== "missing";
+  }).length;
+
+  if (missingAlt > 0) {
+    issues.push({
+      code: "image_alt_missing",
+      severity: "warning",
+      message: `${missingAlt} of ${item.imageAlts.length} image(s) have no alt text`,
+      fix: FIXES[item.type].alt(item),
+    });
+  }
+  if (weakAlt > 0) {
+    issues.push({
+      code: "image_alt_weak",
+      severity: "notice",
+      message: `${weakAlt} image(s) have weak alt text`,
+      fix: FIXES[item.type].alt(item),
+    });
+  }
+
+  const minLength = THIN_CONTENT_CHARS[item.type];
+  if (item.textLength < minLength) {
+    issues.push({
+      code: "thin_content",
+      severity: "warning",
+      message: `Only ${item.textLength} chars of text (aim for ${minLength}+)`,
+      fix: FIXES[item.type].content(item),
+    });
+  }
+
+  for (const [locale, gap] of Object.entries(gaps[item.numericId] || {})) {
+    if (gap.missing.length) {
+      issues.push({
+        code: "translation_missing",
+        severity: "warning",
+        locale,
+        message: `No ${locale} translation for: ${gap.missing.join(", ")}`,
+        fix: translationFix(item, locale),
+      });
+    }
+    if (gap.outdated.length) {
+      issues.push({
+        code: "translation_outdated",
+        severity: "notice",
+        locale,
+        message: `Outdated ${locale} translation for: ${gap.outdated.join(", ")}`,
+        fix: translationFix(item, locale),
+      });
+    }
+  }
+
+  return issues;
+}
+
+// Flags every item sharing a meta title / description with another item
+function addDuplicateIssues(items) {
+  const fields = [
+    ["seoTitle", "title"],
+    ["seoDescription", "description"],
+  ];
+
+  for (const [field, label] of fields) {
+    const groups = new Map();
+    for (const item of items) {
+      const value = (item[field] || "").trim().toLowerCase();
+      if (!value) continue;
+      if (!groups.has(value)) groups.set(value, []);
+      groups.get(value).push(item);
+    }
+
+    for (const group of groups.values()) {
+      if (group.length < 2) continue;
+      for (const item of group) {
+        const others = group
+          .filter((other) => other !== item)
+          .map((other) => `${other.type} ${other.handle}`);
+        item.issues.push({
+          code: `duplicate_seo_${label}`,
+          severity: "warning",
+          message: `Same meta ${label} as ${others.join(", ")}`,
+          fix: FIXES[item.type].seo(item),
+        });
+      }
+    }
+  }
+}
+
+function scoreItem(issues) {
+  const penalty = issues.reduce(
+    (sum, issue) => sum + SEVERITY_PENALTY[issue.severity],
+    0
+  );
+  return Math.max(0, 100 - penalty);
+}
+
+// ---- Running an audit ----
+
+// `locales` are the locales to check translations for (none skips the check).
+// Each type is read in steps: its items, then its translations.
+export async function createSeoAudit({ types, locales, createdBy }) {
+  const now = new Date().toISOString();
+  const audit = {
+    id: crypto.randomBytes(8).toString("hex"),
+    types,
+    locales,
+    createdBy: createdBy || null,
+    createdAt: now,
+    updatedAt: now,
+    steps: types.flatMap((plural) => {
+      const type = plural.replace(/s$/, "");
+      return locales.length > 0
+        ? [
+            { type, read: "items" },
+            { type, read: "translations" },
+          ]
+        : [{ type, read: "items" }];
+    }),
+    step: 0,
+    cursor: null,
+    readInStep: 0, // items or resources read in the current step
+    items: {}, // id -> normalised item
+    gaps: {}, // type -> numericId -> gaps, see fetchTranslationGapsPage
+    truncated: [],
+    complete: false,
+  };
+  await saveSeoAudit(audit);
+  return audit;
+}
+
+export async function loadSeoAudit(auditId) {
+  if (!isValidStoreId(auditId)) {
+    throw new HttpError(400, "Invalid 'auditId'");
+  }
+
+  const audit = await readJson(`seo-audits/${auditId}`);
+  if (!audit) {
+    throw new HttpError(404, `No SEO audit found with id "${auditId}"`);
+  }
+  return audit;
+}
+
+async function saveSeoAudit(audit) {
+  audit.updatedAt = new Date().toISOString();
+  await writeJson(`seo-audits/${audit.id}`, audit);
+}
+
+// Moves on to the next step; a step that hit LIST_ALL_MAX_ITEMS with more
+// left is reported under `truncated`
+function finishStep(audit, nextCursor) {
+  const { type } = audit.steps[audit.step];
+  if (nextCursor && !audit.truncated.includes(`${type}s`)) {
+    audit.truncated.push(`${type}s`);
+  }
+  audit.step += 1;
+  audit.cursor = null;
+  audit.readInStep = 0;
+  audit.complete = audit.step >= audit.steps.length;
+}
+
+// Reads pages until the audit is complete or `deadline` (ms timestamp) has
+// passed; no page after the first is started after it. Saved after every
+// page.
+// Returns { pages, stoppedBy: "complete" | "time-budget" }.
+export async function runSeoAudit(audit, { deadline }) {
+  let pages = 0;
+
+  while (!audit.complete) {
+    // At least one page per call, so a continued audit always moves on
+    if (pages > 0 && Date.now() >= deadline) {
+      return { pages, stoppedBy: "time-budget" };
+    }
+
+    const { type, read } = audit.steps[audit.step];
+    let nextCursor;
+
+    if (read === "items") {
+      const page = await fetchItemsPage(type, audit.cursor);
+      for (const item of page.items) audit.items[item.id] = item;
+      audit.readInStep += page.items.length;
+      nextCursor = page.nextCursor;
+    } else {
+      const page = await fetchTranslationGapsPage(
+        type,
+        audit.locales,
+        audit.cursor
+      );
+      Object.assign((audit.gaps[type] ||= {}), page.gaps);
+      audit.readInStep += page.count;
+      nextCursor = page.nextCursor;
+    }
+
+    pages += 1;
+    if (nextCursor && audit.readInStep < MAX_ALL_ITEMS) audit.cursor = nextCursor;
+    else finishStep(audit, nextCursor);
+    await saveSeoAudit(audit);
+  }
+
+  return { pages, stoppedBy: "complete" };
+}
+
+// Where an unfinished audit has got to
+export function seoAuditProgress(audit) {
+  const current = audit.steps[audit.step];
+  return {
+    step: audit.step,
+    steps: audit.steps.length,
+    reading: current ? `${current.type} ${current.read}` : null,
+    items: Object.keys(audit.items).length,
+  };
+}
+
+// ---- Report ----
+
+// The report for a complete audit: { summary, truncated, items }
+export function seoAuditReport(audit) {
+  const items = Object.values(audit.items).map((item) => ({
+    ...item,
+    issues: itemIssues(item, audit.gaps[item.type] || {}),
+  }));
+
+  addDuplicateIssues(items);
+
+  const summary = { items: items.length, score: 100, byType: {}, byIssue: {} };
+  for (const item of items) {
+    item.score = scoreItem(item.issues);
+    summary.byType[item.type] ||= { items: 0, withIssues: 0, score: 0 };
+    const byType = summary.byType[item.type];
+    byType.items++;
+    byType.score += item.score;
+    if (item.issues.length) byType.withIssues++;
+    for (const issue of item.issues) {
+      summary.byIssue[issue.code] = (summary.byIssue[issue.code] || 0) + 1;
+    }
+  }
+  for (const byType of Object.values(summary.byType)) {
+    byType.score = Math.round(byType.score / byType.items);
+  }
+  if (items.length > 0) {
+    const total = items.reduce((sum, item) => sum + item.score, 0);
+    summary.score = Math.round(total / items.length);
+  }
+
+  // Worst first; clean items only count towards the score
+  const report = items
+    .filter((item) => item.issues.length > 0)
+    .sort((a, b) => a.score - b.score)
+    .map(({ textLength, imageAlts, ...item }) => item);
+
+  return { summary, truncated: audit.truncated, items: report };
+}
+
+export const AUDIT_CSV_COLUMNS = [
+  "type",
+  "id",
+  "numericId",
+  "handle",
+  "title",
+  "score",
+  "severity",
+  "code",
+  "locale",
+  "message",
+  "fixEndpoint",
+  "fixBody",
+];
+
+// One CSV row per issue, so a spreadsheet can filter by code / severity
+export function auditCsvRows(items) {
+  return items.flatMap((item) =>
+    item.issues.map((issue) => ({
+      type: item.type,
+      id: item.id,
+      numericId: item.numericId,
+      handle: item.handle,
+      title: item.title,
+      score: item.score,
+      severity: issue.severity,
+      code: issue.code,
+      locale: issue.locale || "",
+      message: issue.message,
+      fixEndpoint: issue.fix?.endpoint || "",
+      fixBody: issue.fix?.body || "",
+    }))
+  );
+}
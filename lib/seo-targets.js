@@ -0,0 +1,92 @@
+// lib/seo-targets.js
+// How each resource type loads its SEO context, reads its current SEO and
+// writes a candidate. The one place for this: the generate-*-seo endpoints,
+// the webhook queue and the review queue all go through SEO_TARGETS.
+import {
+  articleSeoContext,
+  getArticleContext,
+  updateArticle,
+} from "./articles.js";
+import {
+  collectionSeoContext,
+  getCollectionContext,
+  updateCollection,
+} from "./collections.js";
+import {
+  getProductContext,
+  productSeoContext,
+  updateProduct,
+} from "./products.js";
+
+// { id, handle, title, current } as the endpoints report an item
+function describeWith(getSeo) {
+  return (node) => {
+    const { seoTitle, seoDescription } = getSeo(node);
+    return {
+      id: node.id,
+      handle: node.handle,
+      title: node.title,
+      current: {
+        seoTitle: seoTitle || null,
+        seoDescription: seoDescription || null,
+      },
+    };
+  };
+}
+
+const productSeo = (p) => ({
+  seoTitle: p.seo?.title,
+  seoDescription: p.seo?.description,
+});
+
+const collectionSeo = (c) => ({
+  seoTitle: c.seo?.title,
+  seoDescription: c.seo?.description,
+});
+
+const articleSeo = (a) => ({
+  seoTitle: a.seoTitle?.value,
+  seoDescription: a.seoDescription?.value,
+});
+
+export const SEO_TARGETS = {
+  product: {
+    label: "product",
+    load: (id) => getProductContext({ productId: id }),
+    getSeo: productSeo,
+    describe: describeWith(productSeo),
+    toContext: productSeoContext,
+    write: (p, chosen) =>
+      updateProduct({
+        id: p.id,
+        seo: { title: chosen.seoTitle, description: chosen.seoDescription },
+      }),
+  },
+  collection: {
+    label: "product collection",
+    load: (id) => getCollectionContext({ collectionId: id }),
+    getSeo: collectionSeo,
+    describe: describeWith(collectionSeo),
+    toContext: collectionSeoContext,
+    write: (c, chosen) =>
+      updateCollection({
+        id: c.id,
+        seo: { title: chosen.seoTitle, description: chosen.seoDescription },
+      }),
+  },
+  article: {
+    label: "blog article",
+    load: (id) => getArticleContext(id),
+    getSeo: articleSeo,
+    describe: (a) => ({
+      ...describeWith(articleSeo)(a),
+      blogTitle: a.blog?.title || null,
+    }),
+    toContext: articleSeoContext,
+    write: (a, chosen) =>
+      updateArticle(a.id, {
+        metafields_global_title_tag: chosen.seoTitle,
+        metafields_global_description_tag: chosen.seoDescription,
+      }),
+  },
+};
@@ -0,0 +1,260 @@
+// lib/seo.js
+// AI-generated meta titles / descriptions: length limits, brand voice and the
+// prompt. Shared by the generate-*-seo endpoints.
+import { HttpError } from "./errors.js";
+import { llmJsonChat } from "./llm.js";
+import { scanConnection } from "./pagination.js";
+
+// Google truncates around these lengths; the minimums flag text too thin to rank
+export const SEO_LIMITS = {
+  title: { min: 30, max: 60 },
+  description: { min: 70, max: 155 },
+};
+
+export const BRAND_VOICE = [
+  "Confident and knowledgeable, like a watchmaker talking to an enthusiast. Never pushy.",
+  "Lead with what the customer gets (movement, case, style), not with adjectives.",
+  "No clickbait, no ALL CAPS, no emoji, no exclamation marks.",
+  "Keep model codes (NH35, SKX007) and brand names (Seiko, AllCustom) exactly as written.",
+  'Only end the title with "| AllCustom" if it still fits the length limit.',
+];
+
+export const MAX_CANDIDATES = 5;
+
+export function parseCandidateCount(count) {
+  if (count === undefined) return 3;
+  const n = Number(count);
+  if (!Number.isInteger(n) || n < 1 || n > MAX_CANDIDATES) {
+    throw new HttpError(
+      400,
+      `'count' must be a whole number between 1 and ${MAX_CANDIDATES}`
+    );
+  }
+  return n;
+}
+
+// `modes` lists what the endpoint accepts, its default first. "review" queues
+// the output for a person to approve (see lib/review-queue.js).
+export function parseMode(mode, modes = ["preview", "apply"]) {
+  if (mode === undefined) return modes[0];
+  if (!modes.includes(mode)) {
+    throw new HttpError(
+      400,
+      `'mode' must be ${modes.map((m) => `"${m}"`).join(" or ")}`
+    );
+  }
+  return mode;
+}
+
+export function checkSeoLengths({ seoTitle, seoDescription }) {
+  const titleLength = (seoTitle || "").length;
+  const descriptionLength = (seoDescription || "").length;
+  const issues = [];
+
+  if (titleLength < SEO_LIMITS.title.min) {
+    issues.push(`title shorter than ${SEO_LIMITS.title.min} chars`);
+  }
+  if (titleLength > SEO_LIMITS.title.max) {
+    issues.push(`title longer than ${SEO_LIMITS.title.max} chars`);
+  }
+  if (descriptionLength < SEO_LIMITS.description.min) {
+    issues.push(`description shorter than ${SEO_LIMITS.description.min} chars`);
+  }
+  if (descriptionLength > SEO_LIMITS.description.max) {
+    issues.push(`description longer than ${SEO_LIMITS.description.max} chars`);
+  }
+
+  return { titleLength, descriptionLength, withinLimits: issues.length === 0, issues };
+}
+
+function buildSeoPrompt(resourceLabel, count) {
+  return `
+You are an SEO copywriter for AllCustom, a premium custom watch e-commerce store.
+
+You will receive a ${resourceLabel} as JSON. Write ${count} different candidate meta titles and meta descriptions for it.
+
+LENGTH LIMITS (characters, including spaces):
+- seoTitle: ${SEO_LIMITS.title.min}-${SEO_LIMITS.title.max}
+- seoDescription: ${SEO_LIMITS.description.min}-${SEO_LIMITS.description.max}
+
+BRAND VOICE:
+${BRAND_VOICE.map((rule) => `- ${rule}`).join("\n")}
+
+OTHER RULES:
+- Use the most important search terms for this ${resourceLabel} naturally, near the start.
+- Every candidate must be accurate to the input; never invent specs, prices or offers.
+- Make the candidates meaningfully different (angle, keyword focus), not rewordings.
+
+OUTPUT:
+Return a single JSON object: { "candidates": [ { "seoTitle": string, "seoDescription": string } ] }
+`.trim();
+}
+
+// Returns candidates with length checks, those within limits first
+export async function generateSeoCandidates({ resourceLabel, context, count = 3 }) {
+  const result = await llmJsonChat({
+    task: "seo",
+    system: buildSeoPrompt(resourceLabel, count),
+    user: context,
+  });
+
+  const candidates = (Array.isArray(result?.candidates) ? result.candidates : [])
+    .filter((c) => typeof c?.seoTitle === "string" && typeof c?.seoDescription === "string")
+    .map((c) => {
+      const candidate = {
+        seoTitle: c.seoTitle.trim(),
+        seoDescription: c.seoDescription.trim(),
+      };
+      return { ...candidate, ...checkSeoLengths(candidate) };
+    });
+
+  if (candidates.length === 0) {
+    throw new HttpError(500, "The model returned no usable SEO candidates", {
+      raw: result,
+    });
+  }
+
+  // Stable sort keeps the model's own order within each group
+  return candidates.sort((a, b) => Number(b.withinLimits) - Number(a.withinLimits));
+}
+
+// Picks the candidate to write in apply mode; refuses ones over the limits
+export function pickCandidate(candidates, pick = 0) {
+  const index = Number(pick);
+  const chosen = candidates[index];
+
+  if (!Number.isInteger(index) || !chosen) {
+    throw new HttpError(400, `'pick' must be between 0 and ${candidates.length - 1}`, {
+      candidates,
+    });
+  }
+
+  if (!chosen.withinLimits) {
+    throw new HttpError(422, "Chosen SEO candidate is outside the length limits", {
+      candidates,
+    });
+  }
+
+  return chosen;
+}
+
+// ?missing_seo= post-filter for the list endpoints, on shaped items with
+// seoTitle / seoDescription. Returns null when the param isn't set.
+const MISSING_SEO_FILTERS = {
+  title: (item) => !item.seoTitle,
+  description: (item) => !item.seoDescription,
+  any: (item) => !item.seoTitle || !item.seoDescription,
+};
+
+export function parseMissingSeo(value) {
+  if (!value) return null;
+  const filter = MISSING_SEO_FILTERS[value];
+  if (!filter) {
+    throw new HttpError(400, "'missing_seo' must be one of: title, description, any");
+  }
+  return filter;
+}
+
+// ---- Bulk mode: fill in SEO for items that have none ----
+
+export const MAX_BULK_ITEMS = 20;
+
+export function parseBulkLimit(limit) {
+  if (limit === undefined) return 5;
+  const n = Number(limit);
+  if (!Number.isInteger(n) || n < 1 || n > MAX_BULK_ITEMS) {
+    throw new HttpError(
+      400,
+      `'limit' must be a whole number between 1 and ${MAX_BULK_ITEMS}`
+    );
+  }
+  return n;
+}
+
+const SEO_KEYS = ["seoTitle", "seoDescription"];
+
+// The halves of { seoTitle, seoDescription } that are blank
+export function emptySeoKeys(seo) {
+  return SEO_KEYS.filter((key) => !seo[key]?.trim());
+}
+
+// Missing either half counts, same as missing_seo=any on list-product-handles
+export function isSeoEmpty(seo) {
+  return emptySeoKeys(seo).length > 0;
+}
+
+// `current` with only its blank halves taken from `chosen`
+export function fillEmptySeo(current, chosen) {
+  const filled = {
+    seoTitle: current.seoTitle,
+    seoDescription: current.seoDescription,
+  };
+  for (const key of emptySeoKeys(current)) filled[key] = chosen[key];
+  return filled;
+}
+
+// Collects up to `limit` nodes with empty SEO, see scanConnection
+export function findItemsMissingSeo(
+  fetchPage,
+  { limit, cursor, getSeo, pageSize }
+) {
+  return scanConnection(fetchPage, {
+    limit,
+    cursor,
+    pageSize,
+    matches: (node) => isSeoEmpty(getSeo(node)),
+  });
+}
+
+// Generates candidates for each item and, in apply mode, writes the first one
+// within the length limits (review mode hands it to `review` instead). Only
+// the blank halves are filled: a title or description someone already wrote
+// is written back unchanged, and `review` gets the keys to queue.
+// Failures are reported per item rather than aborting the batch; in apply
+// mode anything that failed still has empty SEO, so a later run from the
+// start picks it up again.
+export async function runBulkSeo(
+  items,
+  { resourceLabel, mode, count, describe, toContext, getSeo, write, review }
+) {
+  const results = [];
+
+  for (const item of items) {
+    const result = { ...describe(item) };
+    const current = getSeo(item);
+    const keys = emptySeoKeys(current);
+    try {
+      result.candidates = await generateSeoCandidates({
+        resourceLabel,
+        context: toContext(item),
+        count,
+      });
+
+      if (mode === "apply" || mode === "review") {
+        const chosen = result.candidates.find((c) => c.withinLimits);
+        if (chosen && mode === "review") {
+          const queued = await review(item, chosen, result.candidates, keys);
+          result.reviewItem = queued.id;
+          result.status = "queued";
+        } else if (chosen) {
+          await write(item, fillEmptySeo(current, chosen));
+          result.status = "applied";
+          result.applied = Object.fromEntries(
+            keys.map((key) => [key, chosen[key]])
+          );
+        } else {
+          result.status = "skipped";
+          result.reason = "No candidate within the length limits";
+        }
+      } else {
+        result.status = "preview";
+      }
+    } catch (err) {
+      result.status = "failed";
+      result.error = err.message;
+    }
+    results.push(result);
+  }
+
+  return results;
+}
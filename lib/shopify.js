@@ -0,0 +1,277 @@
+// lib/shopify.js
+// Shared Shopify Admin client (GraphQL + REST). Every endpoint goes through
+// here so the API version, auth headers, retries and rate limiting live in
+// one place.
+import {
+  HttpError,
+  ShopifyError,
+  ShopifyThrottledError,
+  ShopifyUserError,
+} from "./errors.js";
+
+export const SHOPIFY_API_VERSION = process.env.SHOPIFY_API_VERSION || "2024-10";
+
+// GraphQL article / articles, translationsRemove and article metafields all
+// need 2024-10 or later; "unstable" is newer than any dated version
+const MIN_API_VERSION = "2024-10";
+
+// Retries with exponential backoff. Throttled calls (429 / THROTTLED) never
+// ran, so they are always retried; network errors and 5xx only for reads,
+// since a mutation or POST may have gone through before the failure
+const MAX_RETRIES = Number(process.env.SHOPIFY_MAX_RETRIES || 3);
+const BASE_DELAY_MS = 500;
+const MAX_DELAY_MS = 10000;
+
+// REST leaky bucket: Shopify leaks 2 calls/second on standard plans
+const REST_LEAK_PER_SECOND = 2;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function backoff(attempt) {
+  const delay = BASE_DELAY_MS * 2 ** attempt;
+  return Math.min(delay + Math.random() * BASE_DELAY_MS, MAX_DELAY_MS);
+}
+
+function isMutation(query) {
+  return /^\s*mutation\b/.test(String(query).replace(/#[^\n]*/g, ""));
+}
+
+function isReadMethod(method) {
+  return ["GET", "HEAD"].includes(String(method).toUpperCase());
+}
+
+export function getShopifyConfig() {
+  const storeDomain = process.env.SHOPIFY_STORE_DOMAIN;
+  const adminToken = process.env.SHOPIFY_ADMIN_TOKEN;
+
+  if (!storeDomain || !adminToken) {
+    throw new HttpError(
+      500,
+      "Missing environment variables. Check SHOPIFY_STORE_DOMAIN and SHOPIFY_ADMIN_TOKEN."
+    );
+  }
+
+  if (
+    SHOPIFY_API_VERSION !== "unstable" &&
+    !(/^\d{4}-\d{2}$/.test(SHOPIFY_API_VERSION) &&
+      SHOPIFY_API_VERSION >= MIN_API_VERSION)
+  ) {
+    throw new HttpError(
+      500,
+      `SHOPIFY_API_VERSION "${SHOPIFY_API_VERSION}" is not supported. Use ${MIN_API_VERSION} or later.`
+    );
+  }
+
+  return { storeDomain, adminToken };
+}
+
+function adminUrl(path) {
+  const { storeDomain } = getShopifyConfig();
+  return `https://${storeDomain}/admin/api/${SHOPIFY_API_VERSION}/${path}`;
+}
+
+function adminHeaders() {
+  return {
+    "Content-Type": "application/json",
+    "X-Shopify-Access-Token": getShopifyConfig().adminToken,
+  };
+}
+
+// --- Rate limit bookkeeping (per warm function instance) ---
+
+// Last GraphQL throttleStatus we saw, so we can wait for the bucket to
+// refill instead of firing a query we know will be THROTTLED
+const graphqlBucket = { available: null, maximum: null, restoreRate: null, at: 0 };
+let lastQueryCost = 50;
+
+function rememberGraphqlCost(cost) {
+  const status = cost?.throttleStatus;
+  if (!status) return;
+  graphqlBucket.available = status.currentlyAvailable;
+  graphqlBucket.maximum = status.maximumAvailable;
+  graphqlBucket.restoreRate = status.restoreRate;
+  graphqlBucket.at = Date.now();
+  if (cost.requestedQueryCost) lastQueryCost = cost.requestedQueryCost;
+}
+
+function graphqlWaitMs(neededCost) {
+  const { available, maximum, restoreRate, at } = graphqlBucket;
+  if (available === null || !restoreRate) return 0;
+
+  const elapsed = (Date.now() - at) / 1000;
+  const now = Math.min(maximum, available + elapsed * restoreRate);
+  if (now >= neededCost) return 0;
+
+  return Math.ceil(((neededCost - now) / restoreRate) * 1000);
+}
+
+const restBucket = { used: 0, limit: 40, at: 0 };
+
+function rememberRestCallLimit(header) {
+  const match = /^(\d+)\/(\d+)$/.exec(String(header || ""));
+  if (!match) return;
+  restBucket.used = Number(match[1]);
+  restBucket.limit = Number(match[2]);
+  restBucket.at = Date.now();
+}
+
+function restWaitMs() {
+  const elapsed = (Date.now() - restBucket.at) / 1000;
+  const used = Math.max(0, restBucket.used - elapsed * REST_LEAK_PER_SECOND);
+  // Keep a couple of calls of headroom for other requests on the same shop
+  const headroom = restBucket.limit - 2;
+  if (used < headroom) return 0;
+  return Math.ceil(((used - headroom + 1) / REST_LEAK_PER_SECOND) * 1000);
+}
+
+function retryAfterMs(res, fallback) {
+  const header = Number(res.headers.get("retry-after"));
+  return header > 0 ? header * 1000 : fallback;
+}
+
+// --- GraphQL ---
+
+// Runs an Admin GraphQL query and returns `data`.
+// `action` finishes the sentence "Shopify API error when ..." for error messages.
+export async function shopifyGraphql(query, variables = {}, action = "calling Shopify") {
+  const retryFailures = !isMutation(query);
+
+  for (let attempt = 0; ; attempt++) {
+    const wait = graphqlWaitMs(lastQueryCost);
+    if (wait > 0) await sleep(Math.min(wait, MAX_DELAY_MS));
+
+    let shopifyRes;
+    try {
+      shopifyRes = await fetch(adminUrl("graphql.json"), {
+        method: "POST",
+        headers: adminHeaders(),
+        body: JSON.stringify({ query, variables }),
+      });
+    } catch (err) {
+      if (retryFailures && attempt < MAX_RETRIES) {
+        await sleep(backoff(attempt));
+        continue;
+      }
+      throw new ShopifyError(`Shopify API error when ${action}`, {
+        details: String(err),
+      });
+    }
+
+    const shopifyJson = await shopifyRes.json().catch(() => null);
+    rememberGraphqlCost(shopifyJson?.extensions?.cost);
+
+    const throttled =
+      shopifyRes.status === 429 ||
+      (shopifyJson?.errors || []).some((e) => e.extensions?.code === "THROTTLED");
+
+    if (throttled) {
+      const cost = shopifyJson?.extensions?.cost?.requestedQueryCost || lastQueryCost;
+      const wait = retryAfterMs(shopifyRes, graphqlWaitMs(cost) || backoff(attempt));
+      if (attempt < MAX_RETRIES) {
+        await sleep(Math.min(wait, MAX_DELAY_MS));
+        continue;
+      }
+      throw new ShopifyThrottledError(`Shopify rate limit hit when ${action}`, wait);
+    }
+
+    if (shopifyRes.status >= 500 && retryFailures && attempt < MAX_RETRIES) {
+      await sleep(backoff(attempt));
+      continue;
+    }
+
+    if (!shopifyRes.ok || !shopifyJson || shopifyJson.errors) {
+      console.error(`Shopify error when ${action}:`, shopifyJson);
+      throw new ShopifyError(`Shopify API error when ${action}`, {
+        details: shopifyJson?.errors || shopifyJson,
+      });
+    }
+
+    return shopifyJson.data;
+  }
+}
+
+// Runs a mutation and returns its payload (data[mutationName]).
+// Non-empty `userErrors` become a ShopifyUserError (400).
+export async function shopifyMutation(mutation, variables, mutationName) {
+  const data = await shopifyGraphql(mutation, variables, `running ${mutationName}`);
+  const result = data?.[mutationName];
+  const userErrors = result?.userErrors || [];
+
+  if (userErrors.length > 0) {
+    throw new ShopifyUserError(mutationName, userErrors);
+  }
+
+  return result;
+}
+
+// --- REST ---
+
+// Calls an Admin REST endpoint, e.g. shopifyRest("GET", "blogs.json").
+// Returns { data, headers } so callers can read Link headers for paging.
+export async function shopifyRest(method, path, body, action = "calling Shopify") {
+  const retryFailures = isReadMethod(method);
+
+  for (let attempt = 0; ; attempt++) {
+    const wait = restWaitMs();
+    if (wait > 0) await sleep(Math.min(wait, MAX_DELAY_MS));
+
+    let shopifyRes;
+    try {
+      shopifyRes = await fetch(adminUrl(path), {
+        method,
+        headers: adminHeaders(),
+        body: body ? JSON.stringify(body) : undefined,
+      });
+    } catch (err) {
+      if (retryFailures && attempt < MAX_RETRIES) {
+        await sleep(backoff(attempt));
+        continue;
+      }
+      throw new ShopifyError(`Shopify REST error when ${action}`, {
+        details: String(err),
+      });
+    }
+
+    rememberRestCallLimit(shopifyRes.headers.get("x-shopify-shop-api-call-limit"));
+
+    if (shopifyRes.status === 429) {
+      const wait = retryAfterMs(shopifyRes, backoff(attempt));
+      if (attempt < MAX_RETRIES) {
+        await sleep(Math.min(wait, MAX_DELAY_MS));
+        continue;
+      }
+      throw new ShopifyThrottledError(`Shopify rate limit hit when ${action}`, wait);
+    }
+
+    if (shopifyRes.status >= 500 && retryFailures && attempt < MAX_RETRIES) {
+      await sleep(backoff(attempt));
+      continue;
+    }
+
+    const data = await shopifyRes.json().catch(() => null);
+
+    if (!shopifyRes.ok) {
+      console.error(`Shopify REST error when ${action}:`, shopifyRes.status, data);
+      throw new ShopifyError(`Shopify REST error when ${action}`, {
+        status: shopifyRes.status,
+        details: data,
+      });
+    }
+
+    return { data, headers: shopifyRes.headers };
+  }
+}
+
+// Pulls the page_info cursor for rel="next" out of a REST Link header
+export function nextPageInfo(linkHeader) {
+  const next = String(linkHeader || "")
+    .split(",")
+    .find((part) => /rel="next"/.test(part));
+  const match = next && /[?&]page_info=([^&>]+)/.exec(next);
+  return match ? decodeURIComponent(match[1]) : null;
+}
+
+// Numeric id from a GID ("gid://shopify/Article/123" -> "123"); REST wants these
+export function numericId(id) {
+  return String(id).includes("gid://") ? String(id).split("/").pop() : String(id);
+}
@@ -0,0 +1,92 @@
+// lib/store.js
+// Tiny JSON-file store for state that has to survive between calls
+// (job progress etc). Files live under DATA_DIR, which defaults to the
+// system temp dir. On serverless hosts point DATA_DIR at persistent storage.
+
+import crypto from "crypto";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+
+function dataDir() {
+  return process.env.DATA_DIR || path.join(os.tmpdir(), "allcustom-api");
+}
+
+// Names look like "jobs/abc123"; only [A-Za-z0-9_-] segments are allowed so
+// ids coming from request bodies can't escape DATA_DIR.
+function filePath(name, ext = ".json") {
+  const segments = String(name).split("/");
+  if (!segments.every((seg) => /^[\w-]+$/.test(seg))) {
+    throw new Error(`Invalid store name: ${name}`);
+  }
+  return path.join(dataDir(), ...segments) + ext;
+}
+
+export function isValidStoreId(id) {
+  return typeof id === "string" && /^[\w-]+$/.test(id);
+}
+
+export async function readJson(name, fallback = null) {
+  try {
+    return JSON.parse(await fs.readFile(filePath(name), "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return fallback;
+    throw err;
+  }
+}
+
+// Write to a temp file and rename so readers never see a half-written file
+export async function writeJson(name, data) {
+  const target = filePath(name);
+  await fs.mkdir(path.dirname(target), { recursive: true });
+
+  // Random suffix: two writes to the same file can land in the same millisecond
+  const suffix = crypto.randomBytes(4).toString("hex");
+  const tmp = `${target}.${process.pid}.${suffix}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify(data, null, 2));
+  await fs.rename(tmp, target);
+}
+
+// Lists the names of all JSON documents in a folder, e.g. listJson("jobs").
+// Pass ext = ".jsonl" for the append-only logs.
+export async function listJson(folder, ext = ".json") {
+  try {
+    const files = await fs.readdir(path.dirname(filePath(`${folder}/x`)));
+    return files
+      .filter((f) => f.endsWith(ext))
+      .map((f) => `${folder}/${f.slice(0, -ext.length)}`);
+  } catch (err) {
+    if (err.code === "ENOENT") return [];
+    throw err;
+  }
+}
+
+// Append-only logs are JSON Lines files: one record per line, never rewritten.
+// A single appendFile of one line is atomic enough for our write volume.
+export async function appendJsonLine(name, record) {
+  const target = filePath(name, ".jsonl");
+  await fs.mkdir(path.dirname(target), { recursive: true });
+  await fs.appendFile(target, JSON.stringify(record) + "\n");
+}
+
+// Every record in a log, oldest first; a torn last line is skipped
+export async function readJsonLines(name) {
+  let text;
+  try {
+    text = await fs.readFile(filePath(name, ".jsonl"), "utf8");
+  } catch (err) {
+    if (err.code === "ENOENT") return [];
+    throw err;
+  }
+
+  const records = [];
+  for (const line of text.split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      records.push(JSON.parse(line));
+    } catch (err) {
+      console.warn(`Skipping unreadable line in ${name}`);
+    }
+  }
+  return records;
+}
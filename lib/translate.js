@@ -0,0 +1,885 @@
+// lib/translate.js
+// Resource translation: the LLM for the copy, translationsRegister to store it.
+// Used by api/translate-resource.js, api/translate-product.js and the bulk
+// catalog job.
+
+import { auditedWrite, pickState } from "./audit-log.js";
+import { HttpError, TimeBudgetError } from "./errors.js";
+import {
+  checkGlossaryTerms,
+  glossaryForText,
+  loadGlossary,
+  protectedTermsFor,
+} from "./glossary.js";
+import { validateTranslation } from "./html-validate.js";
+import { buildTranslationPrompt } from "./locales.js";
+import { llmJsonChat } from "./llm.js";
+import { paginate } from "./pagination.js";
+import { queueTranslationReview } from "./review-queue.js";
+import { shopifyGraphql } from "./shopify.js";
+
+// Resource types we can translate. `gidType` is the type translatableResource
+// expects; `aliases` are the GID types other Admin queries hand out for the
+// same resource (e.g. an Article GID from list-blog-articles).
+// `resourceType` is the TranslatableResourceType for listing them in bulk.
+export const RESOURCE_TYPES = {
+  product: {
+    label: "product",
+    gidType: "Product",
+    aliases: [],
+    resourceType: "PRODUCT",
+  },
+  collection: {
+    label: "collection",
+    gidType: "Collection",
+    aliases: [],
+    resourceType: "COLLECTION",
+  },
+  article: {
+    label: "blog article",
+    gidType: "OnlineStoreArticle",
+    aliases: ["Article"],
+    resourceType: "ONLINE_STORE_ARTICLE",
+  },
+  blog: {
+    label: "blog",
+    gidType: "OnlineStoreBlog",
+    aliases: ["Blog"],
+    resourceType: "ONLINE_STORE_BLOG",
+  },
+  page: {
+    label: "page",
+    gidType: "OnlineStorePage",
+    aliases: ["Page"],
+    resourceType: "ONLINE_STORE_PAGE",
+  },
+};
+
+// Translatable content types that hold plain text or HTML we can send to the model
+const TEXT_CONTENT_TYPES = [
+  "SINGLE_LINE_TEXT_FIELD",
+  "MULTI_LINE_TEXT_FIELD",
+  "STRING",
+  "HTML",
+  "INLINE_RICH_TEXT",
+];
+
+// Keys we never translate automatically (changing a handle changes the URL)
+const SKIPPED_KEYS = ["handle"];
+
+// How many times we send a translation back to the model after it fails
+// validation before refusing to register it
+const MAX_VALIDATION_RETRIES = 1;
+
+// Appended to the system prompt when retrying keys that failed validation
+function buildRetryNote(failures) {
+  const lines = Object.entries(failures).map(
+    ([key, report]) =>
+      `- "${key}": ${report.issues.map((issue) => issue.message).join("; ")}`
+  );
+
+  return `
+
+YOUR PREVIOUS TRANSLATION WAS REJECTED for these keys:
+${lines.join("\n")}
+Translate them again from the source and fix every problem listed above.`;
+}
+
+// Validates a `locales` body field and returns a de-duplicated array
+export function parseLocales(locales) {
+  if (
+    !Array.isArray(locales) ||
+    locales.length === 0 ||
+    !locales.every((l) => typeof l === "string" && l.trim())
+  ) {
+    throw new HttpError(
+      400,
+      "'locales' must be a non-empty array of locale codes, e.g. [\"ar\", \"fr\"]"
+    );
+  }
+
+  return [...new Set(locales.map((l) => l.trim()))];
+}
+
+export async function getShopLocales() {
+  const query = `
+    query getShopLocales {
+      shopLocales {
+        locale
+        primary
+        published
+      }
+    }
+  `;
+
+  const data = await shopifyGraphql(query, {}, "fetching shop locales");
+  const shopLocales = data?.shopLocales || [];
+  const primaryLocale = shopLocales.find((l) => l.primary)?.locale;
+
+  if (!primaryLocale) {
+    throw new HttpError(500, "Could not determine the shop's primary locale");
+  }
+
+  const publishedLocales = shopLocales
+    .filter((l) => l.published && !l.primary)
+    .map((l) => l.locale);
+
+  return { primaryLocale, publishedLocales };
+}
+
+// Throws a 400 unless every target locale is published (and not the primary)
+export function checkTargetLocales(targetLocales, { primaryLocale, publishedLocales }) {
+  const invalidLocales = targetLocales.filter(
+    (l) => !publishedLocales.includes(l)
+  );
+
+  if (invalidLocales.length > 0) {
+    throw new HttpError(
+      400,
+      `Locale(s) not published on the shop (or primary): ${invalidLocales.join(", ")}`,
+      { primaryLocale, publishedLocales }
+    );
+  }
+}
+
+// Registers [{ locale, key, value, translatableContentDigest }] and logs what
+// Shopify accepted, with the translations it replaced, as "<locale>:<key>"
+export async function registerTranslations(resourceId, translationInputs) {
+  const registerMutation = `
+    mutation translationsRegister($resourceId: ID!, $translations: [TranslationInput!]!) {
+      translationsRegister(resourceId: $resourceId, translations: $translations) {
+        userErrors {
+          message
+          field
+        }
+        translations {
+          key
+          locale
+          value
+        }
+      }
+    }
+  `;
+
+  const stateKeys = translationInputs.map((t) => `${t.locale}:${t.key}`);
+
+  return auditedWrite({
+    resource: { type: "translation", id: resourceId },
+    before: () => readTranslationState(resourceId, stateKeys),
+    write: async () => {
+      const data = await shopifyGraphql(
+        registerMutation,
+        { resourceId, translations: translationInputs },
+        "registering translations"
+      );
+      return data?.translationsRegister || null;
+    },
+    after: (result) => translationState(result?.translations),
+  });
+}
+
+// { "<locale>:<key>": value } for a list of translations; null when empty
+function translationState(translations = []) {
+  if (!translations?.length) return null;
+  return Object.fromEntries(
+    translations.map((t) => [`${t.locale}:${t.key}`, t.value])
+  );
+}
+
+function splitStateKey(stateKey) {
+  const i = stateKey.indexOf(":");
+  return { locale: stateKey.slice(0, i), key: stateKey.slice(i + 1) };
+}
+
+// Current translation values for "<locale>:<key>" keys, null where there's
+// no translation
+export async function readTranslationState(resourceId, stateKeys) {
+  const locales = [...new Set(stateKeys.map((k) => splitStateKey(k).locale))];
+  const state = {};
+
+  for (const locale of locales) {
+    const existing = await getExistingTranslations(resourceId, locale);
+    for (const [key, { value }] of Object.entries(existing)) {
+      state[`${locale}:${key}`] = value;
+    }
+  }
+  return pickState(state, stateKeys);
+}
+
+// key -> digest of the resource's current source content; translations are
+// only accepted against these
+export async function getContentDigests(resourceId) {
+  const query = `
+    query contentDigests($id: ID!) {
+      translatableResource(resourceId: $id) {
+        translatableContent {
+          key
+          digest
+        }
+      }
+    }
+  `;
+  const data = await shopifyGraphql(
+    query,
+    { id: resourceId },
+    "fetching translatable content digests"
+  );
+
+  return Object.fromEntries(
+    (data?.translatableResource?.translatableContent || []).map((c) => [
+      c.key,
+      c.digest,
+    ])
+  );
+}
+
+// Removes the translations of `keys` in each of `locales`
+export async function removeTranslations(resourceId, keys, locales) {
+  const removeMutation = `
+    mutation translationsRemove($resourceId: ID!, $translationKeys: [String!]!, $locales: [String!]!) {
+      translationsRemove(resourceId: $resourceId, translationKeys: $translationKeys, locales: $locales) {
+        userErrors {
+          message
+          field
+        }
+        translations {
+          key
+          locale
+        }
+      }
+    }
+  `;
+
+  const stateKeys = locales.flatMap((locale) =>
+    keys.map((key) => `${locale}:${key}`)
+  );
+
+  return auditedWrite({
+    resource: { type: "translation", id: resourceId },
+    before: () => readTranslationState(resourceId, stateKeys),
+    write: async () => {
+      const data = await shopifyGraphql(
+        removeMutation,
+        { resourceId, translationKeys: keys, locales },
+        "removing translations"
+      );
+      return data?.translationsRemove || null;
+    },
+    after: (result) =>
+      result?.translations?.length
+        ? Object.fromEntries(
+            result.translations.map((t) => [`${t.locale}:${t.key}`, null])
+          )
+        : null,
+  });
+}
+
+// Puts "<locale>:<key>" values back: registers the ones with a value against
+// the current digests and removes the ones that were null
+export async function restoreTranslationState(resourceId, state) {
+  const digests = await getContentDigests(resourceId);
+  const inputs = [];
+  const removals = {};
+
+  for (const [stateKey, value] of Object.entries(state)) {
+    const { locale, key } = splitStateKey(stateKey);
+    if (value === null) {
+      (removals[locale] ||= []).push(key);
+    } else {
+      inputs.push({
+        locale,
+        key,
+        value,
+        translatableContentDigest: digests[key],
+      });
+    }
+  }
+
+  const userErrors = [];
+  if (inputs.length > 0) {
+    const result = await registerTranslations(resourceId, inputs);
+    userErrors.push(...(result?.userErrors || []));
+  }
+  for (const [locale, keys] of Object.entries(removals)) {
+    const result = await removeTranslations(resourceId, keys, [locale]);
+    userErrors.push(...(result?.userErrors || []));
+  }
+
+  if (userErrors.length > 0) {
+    throw new HttpError(400, "Shopify rejected the translation restore", {
+      userErrors,
+    });
+  }
+}
+
+export function parseResourceType(type) {
+  if (!RESOURCE_TYPES[type]) {
+    throw new HttpError(
+      400,
+      `'type' must be one of: ${Object.keys(RESOURCE_TYPES).join(", ")}`
+    );
+  }
+  return type;
+}
+
+// Turns a numeric id or any GID for the resource into the GID
+// translatableResource expects
+export function toResourceId(type, id) {
+  const { gidType, aliases } = RESOURCE_TYPES[type];
+  const value = String(id);
+
+  if (/^\d+$/.test(value)) return `gid://shopify/${gidType}/${value}`;
+
+  const match = /^gid:\/\/shopify\/(\w+)\/(\d+)$/.exec(value);
+  if (!match || (match[1] !== gidType && !aliases.includes(match[1]))) {
+    throw new HttpError(400, `'id' is not a valid ${type} id: "${value}"`);
+  }
+
+  return `gid://shopify/${gidType}/${match[2]}`;
+}
+
+// Products and collections have a by-handle lookup; online store content
+// has to be searched by handle instead
+const HANDLE_QUERIES = {
+  product: `
+    query resourceByHandle($handle: String!) {
+      resource: productByHandle(handle: $handle) { id }
+    }
+  `,
+  collection: `
+    query resourceByHandle($handle: String!) {
+      resource: collectionByHandle(handle: $handle) { id }
+    }
+  `,
+  article: `
+    query resourceByHandle($query: String!) {
+      resources: articles(first: 1, query: $query) { nodes { id } }
+    }
+  `,
+  blog: `
+    query resourceByHandle($query: String!) {
+      resources: blogs(first: 1, query: $query) { nodes { id } }
+    }
+  `,
+  page: `
+    query resourceByHandle($query: String!) {
+      resources: pages(first: 1, query: $query) { nodes { id } }
+    }
+  `,
+};
+
+// Finds a resource's translatable GID from either `id` or `handle`
+export async function resolveResourceId(type, { id, handle }) {
+  if (id) return toResourceId(type, id);
+
+  if (!handle || typeof handle !== "string") {
+    throw new HttpError(400, "Provide either 'id' or 'handle'");
+  }
+
+  const variables =
+    type === "product" || type === "collection"
+      ? { handle }
+      : { query: `handle:${handle}` };
+
+  const data = await shopifyGraphql(
+    HANDLE_QUERIES[type],
+    variables,
+    `looking up ${RESOURCE_TYPES[type].label} by handle`
+  );
+
+  const found = data?.resource || data?.resources?.nodes?.[0];
+  if (!found) {
+    throw new HttpError(404, `No ${type} found with handle "${handle}"`);
+  }
+
+  return toResourceId(type, found.id);
+}
+
+// Existing translations for one locale: key -> { value, outdated }
+async function getExistingTranslations(resourceId, locale) {
+  const query = `
+    query getExistingTranslations($id: ID!, $locale: String!) {
+      translatableResource(resourceId: $id) {
+        translations(locale: $locale) {
+          key
+          value
+          outdated
+        }
+      }
+    }
+  `;
+
+  const data = await shopifyGraphql(
+    query,
+    { id: resourceId, locale },
+    "fetching existing translations"
+  );
+
+  const existing = {};
+  for (const t of data?.translatableResource?.translations || []) {
+    existing[t.key] = { value: t.value, outdated: t.outdated };
+  }
+  return existing;
+}
+
+// What is registered for a resource, per locale and key:
+// { locale: { key: { source, value, digest, outdated } } }. Every
+// translatable text key is listed; `value` is null where there's no
+// translation yet.
+export async function getResourceTranslations(type, resourceId, locales) {
+  const localeVars = locales.map((_, i) => `$l${i}: String!`).join(", ");
+  const localeFields = locales
+    .map((_, i) => `t${i}: translations(locale: $l${i}) { key value outdated }`)
+    .join("\n");
+  const query = `
+    query resourceTranslations($id: ID!${localeVars ? `, ${localeVars}` : ""}) {
+      translatableResource(resourceId: $id) {
+        resourceId
+        translatableContent {
+          key
+          value
+          digest
+          type
+        }
+        ${localeFields}
+      }
+    }
+  `;
+
+  const data = await shopifyGraphql(
+    query,
+    {
+      id: resourceId,
+      ...Object.fromEntries(locales.map((l, i) => [`l${i}`, l])),
+    },
+    "fetching translations"
+  );
+
+  const resource = data?.translatableResource;
+  if (!resource) {
+    throw new HttpError(404, `No ${type} found with id "${resourceId}"`);
+  }
+
+  const content = {};
+  for (const item of resource.translatableContent || []) {
+    if (!TEXT_CONTENT_TYPES.includes(item.type)) continue;
+    content[item.key] = {
+      value: item.value,
+      digest: item.digest,
+      type: item.type,
+    };
+  }
+
+  const translations = {};
+  for (const [i, locale] of locales.entries()) {
+    const registered = Object.fromEntries(
+      (resource[`t${i}`] || []).map((t) => [t.key, t])
+    );
+    translations[locale] = Object.fromEntries(
+      Object.entries(content).map(([key, item]) => [
+        key,
+        {
+          source: item.value,
+          value: registered[key]?.value ?? null,
+          digest: item.digest,
+          outdated: registered[key]?.outdated ?? false,
+        },
+      ])
+    );
+  }
+
+  return translations;
+}
+
+// Fetches translatableResources pages for paginate(): nodes come back as
+// { resourceId, content: [{ key, value? }],
+//   translations: { locale: [{ key, value?, outdated }] } }. Values are only
+// read with `withValues` since bodies make the pages much bigger.
+function translatableResourcesFetcher(type, locales, withValues) {
+  const value = withValues ? "value" : "";
+  const localeVars = locales.map((_, i) => `$l${i}: String!`).join("\n");
+  const localeFields = locales
+    .map((_, i) => `t${i}: translations(locale: $l${i}) { key outdated ${value} }`)
+    .join("\n");
+  const query = `
+    query listTranslatableResources(
+      $first: Int!
+      $after: String
+      $type: TranslatableResourceType!
+      ${localeVars}
+    ) {
+      translatableResources(first: $first, after: $after, resourceType: $type) {
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+        nodes {
+          resourceId
+          translatableContent {
+            key
+            ${value}
+          }
+          ${localeFields}
+        }
+      }
+    }
+  `;
+  const localeValues = Object.fromEntries(locales.map((l, i) => [`l${i}`, l]));
+
+  return async (variables) => {
+    const connection =
+      (
+        await shopifyGraphql(
+          query,
+          {
+            ...variables,
+            ...localeValues,
+            type: RESOURCE_TYPES[type].resourceType,
+          },
+          "listing translatable resources"
+        )
+      )?.translatableResources || {};
+
+    return {
+      pageInfo: connection.pageInfo,
+      nodes: (connection.nodes || []).map((node) => ({
+        resourceId: node.resourceId,
+        content: node.translatableContent || [],
+        translations: Object.fromEntries(
+          locales.map((locale, i) => [locale, node[`t${i}`] || []])
+        ),
+      })),
+    };
+  };
+}
+
+const translatableResourcesPageSize = (withValues) => (withValues ? 50 : 100);
+
+// Every resource of a type with its translatable keys and, per locale, its
+// translations (see translatableResourcesFetcher for the shape)
+export async function listTranslatableResources(
+  type,
+  locales,
+  { withValues = false } = {}
+) {
+  const { items } = await paginate(
+    translatableResourcesFetcher(type, locales, withValues),
+    { all: true, cursor: null },
+    { maxPageSize: translatableResourcesPageSize(withValues) }
+  );
+  return items;
+}
+
+// One page of listTranslatableResources from `cursor`, for callers that work
+// through a type over several requests: { resources, nextCursor }
+export async function listTranslatableResourcesPage(
+  type,
+  locales,
+  { cursor = null, withValues = false } = {}
+) {
+  const pageSize = translatableResourcesPageSize(withValues);
+  const { items, nextCursor } = await paginate(
+    translatableResourcesFetcher(type, locales, withValues),
+    { limit: pageSize, cursor, all: false },
+    { maxPageSize: pageSize }
+  );
+  return { resources: items, nextCursor };
+}
+
+// Bulk runs pass a `deadline` (ms timestamp): no Shopify or LLM call is
+// started after it
+function checkDeadline(deadline, action) {
+  if (deadline && Date.now() >= deadline) throw new TimeBudgetError(action);
+}
+
+// Translates one resource into every target locale and registers the
+// results. `primaryLocale` comes from getShopLocales(). With mode "review"
+// nothing is registered; each locale's translations go to the review queue
+// instead (keys.<locale>.queued, reviewItems.<locale>).
+//
+// Only keys with no translation yet, or whose translation Shopify marks as
+// outdated (the source changed since), are sent to the model unless `force`.
+// Past `deadline` it throws a TimeBudgetError instead of starting a call.
+export async function translateResource({
+  type,
+  resourceId,
+  locales,
+  primaryLocale,
+  force = false,
+  mode = "apply",
+  deadline = null,
+}) {
+  // 1) Get the source text + digests for this resource (for the primary locale)
+  const translatableQuery = `
+    query getTranslatableResource($id: ID!) {
+      translatableResource(resourceId: $id) {
+        resourceId
+        translatableContent {
+          key
+          value
+          locale
+          digest
+          type
+        }
+      }
+    }
+  `;
+
+  checkDeadline(deadline, "fetching translatable content");
+  const translatableData = await shopifyGraphql(
+    translatableQuery,
+    { id: resourceId },
+    "fetching translatable content"
+  );
+
+  const resource = translatableData?.translatableResource;
+  if (!resource) {
+    throw new HttpError(404, `No ${type} found with id "${resourceId}"`);
+  }
+
+  // key -> { value, digest, type } for the primary locale
+  const source = {};
+  for (const item of resource.translatableContent || []) {
+    if (item.locale !== primaryLocale) continue;
+    if (SKIPPED_KEYS.includes(item.key)) continue;
+    if (!TEXT_CONTENT_TYPES.includes(item.type)) continue;
+    if (typeof item.value !== "string" || !item.value.trim()) continue;
+    source[item.key] = item;
+  }
+
+  const original = Object.fromEntries(
+    Object.entries(source).map(([key, item]) => [key, item.value])
+  );
+  const htmlKeys = Object.keys(source).filter((key) => source[key].type === "HTML");
+
+  const translations = {};
+  const registerResults = {};
+  const keyReports = {};
+  const validation = {};
+  const glossaryViolations = {};
+  const reviewItems = {};
+
+  const glossary = await loadGlossary();
+  const protectedTerms = protectedTermsFor(glossary);
+
+  // 2) One LLM call + one translationsRegister per target locale
+  for (const locale of locales) {
+    try {
+      await translateLocale(locale);
+    } catch (err) {
+      // Keep whatever earlier locales already registered in the error body
+      if (err instanceof HttpError) {
+        err.message = `${err.message} (locale "${locale}")`;
+        Object.assign(err.extra, {
+          translations,
+          keys: keyReports,
+          validation,
+          glossaryViolations,
+          reviewItems,
+          shopifyTranslationsRegister: registerResults,
+        });
+      }
+      throw err;
+    }
+  }
+
+  async function translateLocale(locale) {
+    const keyReport = {
+      registered: [],
+      failed: [], // sent but rejected, see userErrors
+      rejected: [], // failed validation, never sent; { key, issues }
+      skipped: [], // { key, reason }
+      missingDigest: [],
+      ...(mode === "review" ? { queued: [] } : {}),
+    };
+    keyReports[locale] = keyReport;
+    registerResults[locale] = null;
+    translations[locale] = {};
+
+    // Work out which keys actually need a (re)translation
+    if (!force) checkDeadline(deadline, "fetching existing translations");
+    const existing = force ? {} : await getExistingTranslations(resourceId, locale);
+    const pending = {};
+
+    for (const key of Object.keys(original)) {
+      const current = existing[key];
+      if (current?.value && !current.outdated) {
+        keyReport.skipped.push({ key, reason: "up-to-date" });
+      } else {
+        pending[key] = original[key];
+      }
+    }
+
+    if (Object.keys(pending).length === 0) return;
+
+    const localeGlossary = glossaryForText(
+      glossary,
+      locale,
+      Object.values(pending).join("\n")
+    );
+    const systemPrompt = buildTranslationPrompt(locale, primaryLocale, {
+      resourceLabel: RESOURCE_TYPES[type].label,
+      htmlKeys: htmlKeys.filter((key) => key in pending),
+      glossary: localeGlossary,
+    });
+
+    checkDeadline(deadline, "translating");
+    const translated = await llmJsonChat({
+      task: "translation",
+      system: systemPrompt,
+      user: pending,
+    });
+    translations[locale] = translated;
+
+    // Check structure + protected tokens, give the model another go at the
+    // keys that fail, and refuse to register whatever still fails
+    const validateKeys = (keys) => {
+      for (const key of keys) {
+        if (typeof translated[key] !== "string") continue;
+        validation[locale][key] = validateTranslation(original[key], translated[key], {
+          html: htmlKeys.includes(key),
+          protectedTerms,
+        });
+      }
+    };
+    const failingKeys = () =>
+      Object.keys(validation[locale]).filter((key) => !validation[locale][key].ok);
+
+    validation[locale] = {};
+    validateKeys(Object.keys(pending));
+
+    for (let attempt = 0; attempt < MAX_VALIDATION_RETRIES; attempt++) {
+      const failing = failingKeys();
+      if (failing.length === 0) break;
+
+      const failures = Object.fromEntries(
+        failing.map((key) => [key, validation[locale][key]])
+      );
+      checkDeadline(deadline, "retrying failed translations");
+      const retried = await llmJsonChat({
+        task: "translation",
+        system: systemPrompt + buildRetryNote(failures),
+        user: Object.fromEntries(failing.map((key) => [key, pending[key]])),
+      });
+
+      for (const key of failing) {
+        if (typeof retried[key] === "string") translated[key] = retried[key];
+      }
+      validateKeys(failing);
+    }
+
+    const rejectedKeys = failingKeys();
+    for (const key of rejectedKeys) {
+      keyReport.rejected.push({ key, issues: validation[locale][key].issues });
+    }
+
+    // Fixed glossary translations the model didn't use are reported, not
+    // blocking: the wording around them may still be fine
+    glossaryViolations[locale] = [];
+    for (const key of Object.keys(pending)) {
+      if (typeof translated[key] !== "string" || rejectedKeys.includes(key)) {
+        continue;
+      }
+      for (const violation of checkGlossaryTerms(
+        original[key],
+        translated[key],
+        localeGlossary.terms
+      )) {
+        glossaryViolations[locale].push({ key, ...violation });
+      }
+    }
+
+    // Build TranslationInput[] for Shopify including digests
+    const translationInputs = [];
+
+    for (const key of Object.keys(pending)) {
+      const value = translated[key];
+
+      if (typeof value !== "string" || !value.trim()) {
+        keyReport.skipped.push({ key, reason: "no translation returned" });
+        continue;
+      }
+
+      if (rejectedKeys.includes(key)) continue;
+
+      if (!source[key].digest) {
+        keyReport.missingDigest.push(key);
+        continue;
+      }
+
+      translationInputs.push({
+        locale,
+        key,
+        value,
+        translatableContentDigest: source[key].digest,
+      });
+    }
+
+    if (translationInputs.length > 0 && mode === "review") {
+      const item = await queueTranslationReview({
+        type,
+        resourceId,
+        locale,
+        original,
+        htmlKeys,
+        inputs: translationInputs,
+      });
+      reviewItems[locale] = item.id;
+      keyReport.queued = translationInputs.map((t) => t.key);
+    } else if (translationInputs.length > 0) {
+      checkDeadline(deadline, "registering translations");
+      registerResults[locale] = await registerTranslations(
+        resourceId,
+        translationInputs
+      );
+
+      const registeredKeys = (registerResults[locale]?.translations || []).map(
+        (t) => t.key
+      );
+      for (const { key } of translationInputs) {
+        if (registeredKeys.includes(key)) keyReport.registered.push(key);
+        else keyReport.failed.push(key);
+      }
+    }
+  }
+
+  return {
+    resourceType: type,
+    resourceId,
+    primaryLocale,
+    locales,
+    force,
+    mode,
+    original,
+    translations,
+    keys: keyReports,
+    validation,
+    glossaryViolations,
+    ...(mode === "review" ? { reviewItems } : {}),
+    shopifyTranslationsRegister: registerResults,
+  };
+}
+
+// Product-by-handle shortcut used by api/translate-product.js and the bulk job
+export async function translateProduct({
+  handle,
+  locales,
+  primaryLocale,
+  force,
+  mode,
+  deadline,
+}) {
+  checkDeadline(deadline, "looking up the product");
+  const resourceId = await resolveResourceId("product", { handle });
+  const result = await translateResource({
+    type: "product",
+    resourceId,
+    locales,
+    primaryLocale,
+    force,
+    mode,
+    deadline,
+  });
+
+  return { productId: resourceId, handle, ...result };
+}
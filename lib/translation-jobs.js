@@ -0,0 +1,347 @@
+// lib/translation-jobs.js
+// Resumable bulk translation jobs. A job remembers its product cursor and a
+// per-handle status, so each call to api/translate-catalog.js only does as
+// much work as fits in the serverless time budget and the next call picks up
+// where the last one stopped.
+
+import crypto from "crypto";
+import { HttpError, TimeBudgetError } from "./errors.js";
+import { shopifyGraphql } from "./shopify.js";
+import { isValidStoreId, listJson, readJson, writeJson } from "./store.js";
+import { translateProduct } from "./translate.js";
+
+const PAGE_SIZE = 25;
+const FILTER_TYPES = ["all", "collection", "tag", "handles"];
+
+// Pause between products so we stay well under Shopify / LLM rate limits
+const ITEM_DELAY_MS = Number(process.env.TRANSLATION_JOB_ITEM_DELAY_MS || 500);
+
+// How long to wait after taking the lock before checking we still hold it,
+// so a run that read the job at the same moment has written its own claim
+const LOCK_SETTLE_MS = 200;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+export function parseJobFilter(filter) {
+  const { type, value } = filter || {};
+
+  if (!FILTER_TYPES.includes(type)) {
+    throw new HttpError(
+      400,
+      `'filter.type' must be one of: ${FILTER_TYPES.join(", ")}`
+    );
+  }
+
+  if (type === "handles") {
+    if (!Array.isArray(value) || value.length === 0) {
+      throw new HttpError(400, "'filter.value' must be a non-empty array of handles");
+    }
+    return { type, value: [...new Set(value.map(String))] };
+  }
+
+  if (type !== "all" && (!value || typeof value !== "string")) {
+    throw new HttpError(400, `'filter.value' is required for filter type "${type}"`);
+  }
+
+  return type === "all" ? { type } : { type, value };
+}
+
+export async function createJob({ filter, locales, primaryLocale, force, createdBy }) {
+  const now = new Date().toISOString();
+  const job = {
+    id: crypto.randomBytes(8).toString("hex"),
+    filter,
+    locales,
+    primaryLocale,
+    force: Boolean(force),
+    createdBy: createdBy || null,
+    createdAt: now,
+    updatedAt: now,
+    cursor: null,
+    exhausted: false, // true once every product for the filter is in `items`
+    lockedUntil: null,
+    lockToken: null,
+    throttledUntil: null,
+    items: {},
+  };
+
+  // An explicit handle list needs no paging
+  if (filter.type === "handles") {
+    for (const handle of filter.value) job.items[handle] = newItem();
+    job.exhausted = true;
+  }
+
+  await saveJob(job);
+  return job;
+}
+
+export async function loadJob(jobId) {
+  if (!isValidStoreId(jobId)) {
+    throw new HttpError(400, "Invalid 'jobId'");
+  }
+
+  const job = await readJson(`translation-jobs/${jobId}`);
+  if (!job) {
+    throw new HttpError(404, `No translation job found with id "${jobId}"`);
+  }
+  return job;
+}
+
+export async function listJobs() {
+  const names = await listJson("translation-jobs");
+  const jobs = await Promise.all(names.map((name) => readJson(name)));
+  return jobs
+    .filter(Boolean)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+async function saveJob(job) {
+  job.updatedAt = new Date().toISOString();
+  await writeJson(`translation-jobs/${job.id}`, job);
+}
+
+function newItem() {
+  return { status: "pending", attempts: 0, error: null, updatedAt: null };
+}
+
+export function summarizeJob(job) {
+  const counts = { total: 0, pending: 0, done: 0, failed: 0, skipped: 0 };
+  const failed = [];
+  const glossaryViolations = [];
+
+  for (const [handle, item] of Object.entries(job.items)) {
+    counts.total += 1;
+    counts[item.status] += 1;
+    if (item.status === "failed") failed.push({ handle, error: item.error });
+    if (item.glossaryViolations) {
+      glossaryViolations.push({ handle, violations: item.glossaryViolations });
+    }
+  }
+
+  return {
+    id: job.id,
+    filter: job.filter,
+    locales: job.locales,
+    createdBy: job.createdBy,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    complete: job.exhausted && counts.pending === 0,
+    allProductsQueued: job.exhausted,
+    throttledUntil: job.throttledUntil,
+    counts,
+    failed,
+    glossaryViolations,
+  };
+}
+
+// Fetches the next page of product handles for the job's filter
+async function loadNextPage(job) {
+  const { type, value } = job.filter;
+  const variables = { first: PAGE_SIZE, after: job.cursor };
+  let connection;
+
+  if (type === "collection") {
+    const query = `
+      query jobCollectionProducts($id: ID!, $first: Int!, $after: String) {
+        collection(id: $id) {
+          products(first: $first, after: $after) {
+            pageInfo { hasNextPage endCursor }
+            nodes { handle }
+          }
+        }
+      }
+    `;
+    const collectionId = value.startsWith("gid://")
+      ? value
+      : `gid://shopify/Collection/${value}`;
+    const data = await shopifyGraphql(
+      query,
+      { ...variables, id: collectionId },
+      "listing collection products"
+    );
+    if (!data?.collection) {
+      throw new HttpError(404, `No collection found with id "${value}"`);
+    }
+    connection = data.collection.products;
+  } else {
+    const query = `
+      query jobProducts($first: Int!, $after: String, $query: String) {
+        products(first: $first, after: $after, query: $query) {
+          pageInfo { hasNextPage endCursor }
+          nodes { handle }
+        }
+      }
+    `;
+    const search = type === "tag" ? `tag:'${value.replace(/'/g, "\\'")}'` : null;
+    const data = await shopifyGraphql(
+      query,
+      { ...variables, query: search },
+      "listing products"
+    );
+    connection = data?.products;
+  }
+
+  for (const { handle } of connection?.nodes || []) {
+    if (!job.items[handle]) job.items[handle] = newItem();
+  }
+
+  job.cursor = connection?.pageInfo?.endCursor || null;
+  job.exhausted = !connection?.pageInfo?.hasNextPage;
+}
+
+// Remembers when we may call the APIs again after a 429
+function markThrottled(job, err) {
+  job.throttledUntil = new Date(
+    Date.now() + (err.extra.retryAfterMs || 5000)
+  ).toISOString();
+}
+
+const isRateLimit = (err) => err instanceof HttpError && err.status === 429;
+
+function nextPendingHandle(job) {
+  return Object.keys(job.items).find((h) => job.items[h].status === "pending");
+}
+
+// Failed items go back to pending so the next run retries them
+export function requeueFailed(job) {
+  for (const item of Object.values(job.items)) {
+    if (item.status === "failed") item.status = "pending";
+  }
+}
+
+function alreadyRunning(lockedUntil) {
+  return new HttpError(409, "This job is already running in another request", {
+    lockedUntil,
+  });
+}
+
+// Writes our lock, then reads the job back: if an overlapping run (e.g. two
+// cron calls) wrote its lock after ours, it has the job and we back off
+async function takeLock(job, deadline) {
+  const token = crypto.randomBytes(8).toString("hex");
+  job.lockedUntil = new Date(deadline).toISOString();
+  job.lockToken = token;
+  await saveJob(job);
+
+  await sleep(LOCK_SETTLE_MS);
+  const stored = await readJson(`translation-jobs/${job.id}`);
+  if (stored?.lockToken !== token) throw alreadyRunning(stored?.lockedUntil);
+}
+
+// Works through the job until it is complete or `deadline` (ms timestamp)
+// passes; no Shopify or LLM call is started after it. Progress is saved after
+// every product.
+export async function runJob(job, { deadline }) {
+  const now = Date.now();
+
+  if (job.lockedUntil && Date.parse(job.lockedUntil) > now) {
+    throw alreadyRunning(job.lockedUntil);
+  }
+
+  if (job.throttledUntil && Date.parse(job.throttledUntil) > now) {
+    return { processed: [], stoppedBy: "rate-limit" };
+  }
+
+  job.throttledUntil = null;
+  await takeLock(job, deadline);
+
+  const processed = [];
+  let stoppedBy = "complete";
+
+  try {
+    while (true) {
+      if (Date.now() >= deadline) {
+        stoppedBy = "time-budget";
+        break;
+      }
+
+      const handle = nextPendingHandle(job);
+
+      if (!handle) {
+        if (job.exhausted) break;
+
+        try {
+          await loadNextPage(job);
+        } catch (err) {
+          if (!isRateLimit(err)) throw err;
+          markThrottled(job, err);
+          stoppedBy = "rate-limit";
+          break;
+        }
+
+        await saveJob(job);
+        continue;
+      }
+
+      const item = job.items[handle];
+      item.attempts += 1;
+
+      try {
+        const result = await translateProduct({
+          handle,
+          locales: job.locales,
+          primaryLocale: job.primaryLocale,
+          force: job.force,
+          deadline,
+        });
+
+        const reports = Object.values(result.keys);
+        const registered = reports.some((r) => r.registered.length > 0);
+        const failedKeys = reports.some((r) => r.failed.length > 0);
+        const rejectedKeys = reports.some((r) => r.rejected.length > 0);
+
+        if (failedKeys || rejectedKeys) {
+          item.status = "failed";
+          item.error = failedKeys
+            ? "Shopify rejected some translations"
+            : "Some translations failed HTML / protected token validation";
+        } else {
+          item.status = registered ? "done" : "skipped";
+          item.error = registered ? null : "Nothing to translate or already up to date";
+        }
+
+        // Reported in the job summary, they don't fail the item
+        const violations = Object.entries(result.glossaryViolations).flatMap(
+          ([locale, list]) => list.map((v) => ({ locale, ...v }))
+        );
+        if (violations.length > 0) item.glossaryViolations = violations;
+        else delete item.glossaryViolations;
+      } catch (err) {
+        // Leave the item pending and stop; the next run retries it
+        if (err instanceof TimeBudgetError) {
+          item.attempts -= 1;
+          stoppedBy = "time-budget";
+          break;
+        }
+        if (isRateLimit(err)) {
+          item.attempts -= 1;
+          markThrottled(job, err);
+          stoppedBy = "rate-limit";
+          break;
+        }
+
+        if (err instanceof HttpError && err.status === 404) {
+          item.status = "skipped";
+        } else {
+          item.status = "failed";
+          if (!(err instanceof HttpError)) {
+            console.error(`Translation job ${job.id} failed on "${handle}":`, err);
+          }
+        }
+        item.error = err.message || String(err);
+      }
+
+      item.updatedAt = new Date().toISOString();
+      processed.push({ handle, status: item.status, error: item.error });
+      await saveJob(job);
+
+      if (nextPendingHandle(job) || !job.exhausted) await sleep(ITEM_DELAY_MS);
+    }
+  } finally {
+    job.lockedUntil = null;
+    job.lockToken = null;
+    await saveJob(job);
+  }
+
+  return { processed, stoppedBy };
+}
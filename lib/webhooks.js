@@ -0,0 +1,512 @@
+// lib/webhooks.js
+// Shopify webhooks: signature checks, turning a delivery into queued work for
+// the resource that changed, and working that queue. api/shopify-webhook.js
+// receives deliveries; api/process-webhook-queue.js runs the queue (e.g. from
+// a cron) so the webhook itself can answer within Shopify's 5 seconds.
+//
+// The queue holds one item per resource (webhook-queue/<type>-<id>), so a
+// burst of updates to the same product is only worked once. Every delivery is
+// also remembered by its webhook id (webhooks/<id>) to drop redeliveries.
+import crypto from "crypto";
+import {
+  getAuditContext,
+  listAuditEntries,
+  runWithAuditContext,
+} from "./audit-log.js";
+import { HttpError } from "./errors.js";
+import { queueSeoReview } from "./review-queue.js";
+import { isSeoEmpty, runBulkSeo } from "./seo.js";
+import { SEO_TARGETS } from "./seo-targets.js";
+import { getShopifyConfig, numericId } from "./shopify.js";
+import { isValidStoreId, listJson, readJson, writeJson } from "./store.js";
+import {
+  checkTargetLocales,
+  getShopLocales,
+  parseLocales,
+  toResourceId,
+  translateResource,
+} from "./translate.js";
+
+// Topics we subscribe to and the resource type their payload is
+export const WEBHOOK_TOPICS = {
+  "products/create": "product",
+  "products/update": "product",
+  "collections/update": "collection",
+  "articles/create": "article",
+};
+
+// seo fills in an empty meta title / description; translate registers
+// translations for keys that are missing or outdated. Both are no-ops when
+// there's nothing to do, so running them on every change is safe.
+const TASKS = ["seo", "translate"];
+
+// Shopify sends products/update for our own writes too; dropping those (see
+// isOwnWrite) stops SEO writes from queueing themselves forever. Our audit
+// entry is logged at most this long after the payload's updated_at.
+const OWN_WRITE_WINDOW_MS =
+  Number(process.env.WEBHOOK_OWN_WRITE_WINDOW_SECONDS || 60) * 1000;
+
+// Audit state keys the webhook payload carries, and how to read them from it
+const PAYLOAD_FIELDS = {
+  title: (p) => p.title,
+  handle: (p) => p.handle,
+  descriptionHtml: (p) => p.body_html,
+  vendor: (p) => p.vendor,
+  productType: (p) => p.product_type,
+  status: (p) => p.status?.toUpperCase(),
+  tags: (p) =>
+    typeof p.tags === "string"
+      ? p.tags
+          .split(",")
+          .map((t) => t.trim())
+          .filter(Boolean)
+          .sort()
+      : undefined,
+};
+
+// Audit log resource types whose writes show up as a webhook of this type
+const AUDIT_TYPES = {
+  product: ["product", "product_media"],
+  collection: ["collection"],
+  article: ["article"],
+};
+
+const MAX_ATTEMPTS = 3;
+const MAX_WEBHOOK_IDS = 20;
+
+// How long to wait after taking the queue lock before checking we still hold
+// it, so a run that read the lock at the same moment has written its own claim
+const LOCK_SETTLE_MS = 200;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+export function getWebhookSecret() {
+  const secret = process.env.SHOPIFY_WEBHOOK_SECRET;
+
+  if (!secret) {
+    throw new HttpError(
+      500,
+      "Missing environment variables. Check SHOPIFY_WEBHOOK_SECRET."
+    );
+  }
+
+  return secret;
+}
+
+// Base64 HMAC-SHA256 of the raw body, as sent in X-Shopify-Hmac-Sha256
+export function signWebhook(rawBody, secret = getWebhookSecret()) {
+  return crypto.createHmac("sha256", secret).update(rawBody).digest("base64");
+}
+
+// Throws a 401 unless `signature` is the body's HMAC. Must be computed over
+// the bytes Shopify sent, not re-serialised JSON.
+export function verifyWebhook(rawBody, signature) {
+  const expected = Buffer.from(signWebhook(rawBody), "base64");
+  const given = Buffer.from(String(signature || ""), "base64");
+
+  if (
+    given.length !== expected.length ||
+    !crypto.timingSafeEqual(given, expected)
+  ) {
+    throw new HttpError(401, "Invalid webhook signature");
+  }
+}
+
+function enabledTasks() {
+  const raw = process.env.WEBHOOK_TASKS;
+  if (!raw) return TASKS;
+  return raw
+    .split(",")
+    .map((t) => t.trim())
+    .filter((t) => TASKS.includes(t));
+}
+
+// undefined when the payload doesn't carry `key`. Media alt text (from
+// product_media entries) is keyed by the MediaImage gid.
+function payloadValue(payload, key) {
+  if (PAYLOAD_FIELDS[key]) return PAYLOAD_FIELDS[key](payload);
+
+  const media = (payload.media || []).find(
+    (m) => m.admin_graphql_api_id === key
+  );
+  return media ? media.alt || null : undefined;
+}
+
+// Every value of the entry's `after` state that the payload carries matches
+function payloadShowsWrite(payload, entry) {
+  return Object.entries(entry.after || {}).every(([key, value]) => {
+    const current = payloadValue(payload, key);
+    return (
+      current === undefined ||
+      JSON.stringify(current ?? null) === JSON.stringify(value ?? null)
+    );
+  });
+}
+
+// True when the payload is the result of one of our writes: the first write
+// to the resource logged at or after Shopify's updated_at (a later edit by
+// someone else has a later updated_at than our entry), with its `after`
+// values still in the payload. When in doubt the update counts as someone
+// else's; queueing our own write again only costs a queue run that finds
+// nothing to do, while dropping a merchant's edit loses work.
+async function isOwnWrite(resource, payload) {
+  const changedAt = Date.parse(payload.updated_at);
+  if (Number.isNaN(changedAt)) return false;
+
+  let first = null;
+  for (const resourceType of AUDIT_TYPES[resource.type]) {
+    const { entries } = await listAuditEntries({
+      resourceType,
+      resourceId: resource.id,
+      since: new Date(changedAt).toISOString(),
+      until: new Date(changedAt + OWN_WRITE_WINDOW_MS).toISOString(),
+    });
+    const oldest = entries[entries.length - 1];
+    if (oldest && (!first || oldest.at < first.at)) first = oldest;
+  }
+  return Boolean(first) && payloadShowsWrite(payload, first);
+}
+
+// True when the audit log has our create entry for the resource, e.g. from
+// /api/draft-article. Ids are never reused, so no values need comparing.
+async function isOwnCreate(resource, payload) {
+  const createdAt = Date.parse(payload.created_at);
+
+  for (const resourceType of AUDIT_TYPES[resource.type]) {
+    const { entries } = await listAuditEntries({
+      resourceType,
+      resourceId: resource.id,
+      since: Number.isNaN(createdAt) ? null : new Date(createdAt).toISOString(),
+    });
+    if (entries.some((entry) => entry.action === "create")) return true;
+  }
+  return false;
+}
+
+function queueKey(resource) {
+  return `${resource.type}-${resource.id}`;
+}
+
+async function enqueue(resource, { topic, webhookId }) {
+  const name = `webhook-queue/${queueKey(resource)}`;
+  const now = new Date().toISOString();
+  const existing = await readJson(name);
+
+  // A pending item just picks up the newer delivery
+  const item =
+    existing?.status === "pending"
+      ? existing
+      : {
+          key: queueKey(resource),
+          status: "pending",
+          attempts: 0,
+          error: null,
+          results: null,
+          topics: [],
+          webhookIds: [],
+          queuedAt: now,
+          notBefore: null,
+        };
+
+  item.resource = resource;
+  item.tasks = enabledTasks();
+  if (!item.topics.includes(topic)) item.topics.push(topic);
+  item.webhookIds = [...item.webhookIds, webhookId].slice(-MAX_WEBHOOK_IDS);
+  item.updatedAt = now;
+
+  await writeJson(name, item);
+  return item;
+}
+
+// Records one delivery and queues its resource. Returns the delivery record,
+// whose status is "queued", "ignored" (with a reason) or "duplicate".
+export async function receiveWebhook({ topic, webhookId, shopDomain, payload }) {
+  if (!webhookId || !isValidStoreId(webhookId)) {
+    throw new HttpError(400, "Missing or invalid X-Shopify-Webhook-Id");
+  }
+
+  const name = `webhooks/${webhookId}`;
+  const seen = await readJson(name);
+  if (seen) return { ...seen, status: "duplicate", firstStatus: seen.status };
+
+  const record = {
+    id: webhookId,
+    topic,
+    shopDomain: shopDomain || null,
+    receivedAt: new Date().toISOString(),
+    resource: null,
+    status: "ignored",
+    reason: null,
+  };
+  const type = WEBHOOK_TOPICS[topic];
+
+  if (!type) {
+    record.reason = `Unhandled topic "${topic}"`;
+  } else if (shopDomain !== getShopifyConfig().storeDomain) {
+    record.reason = `Webhook is for another shop (${shopDomain})`;
+  } else if (!payload?.id) {
+    record.reason = "Payload has no id";
+  } else {
+    record.resource = {
+      type,
+      id: numericId(payload.id),
+      handle: payload.handle || null,
+      title: payload.title || null,
+    };
+
+    if (
+      topic.endsWith("/update") &&
+      (await isOwnWrite(record.resource, payload))
+    ) {
+      record.reason = "Change made through this API";
+    } else if (
+      topic.endsWith("/create") &&
+      (await isOwnCreate(record.resource, payload))
+    ) {
+      record.reason = "Created through this API";
+    } else if (type === "article" && !payload.published_at) {
+      // A draft isn't ready for SEO or translations yet
+      record.reason = "Article is not published";
+    } else if (enabledTasks().length === 0) {
+      record.reason = "No tasks enabled in WEBHOOK_TASKS";
+    } else {
+      await enqueue(record.resource, { topic, webhookId });
+      record.status = "queued";
+    }
+  }
+
+  await writeJson(name, record);
+  return record;
+}
+
+// ---- Working the queue ----
+
+// WEBHOOK_REVIEW=1 sends the output to the review queue instead of the store
+const reviewMode = () => ["1", "true"].includes(process.env.WEBHOOK_REVIEW);
+
+// Generates SEO when the title or description is empty and fills in only the
+// empty half, so a title or description a person wrote is left alone
+async function runSeoTask(resource) {
+  const target = SEO_TARGETS[resource.type];
+  const item = await target.load(resource.id);
+
+  if (!isSeoEmpty(target.getSeo(item))) {
+    return { status: "skipped", reason: "SEO already set" };
+  }
+
+  const [result] = await runBulkSeo([item], {
+    resourceLabel: target.label,
+    mode: reviewMode() ? "review" : "apply",
+    count: 3,
+    describe: () => ({}),
+    toContext: target.toContext,
+    getSeo: target.getSeo,
+    write: target.write,
+    review: (node, chosen, candidates, keys) =>
+      queueSeoReview({ type: resource.type, node, chosen, candidates, keys }),
+  });
+  if (result.status === "failed") throw new Error(result.error);
+  return {
+    status: result.status,
+    reason: result.reason,
+    applied: result.applied,
+    reviewItem: result.reviewItem,
+  };
+}
+
+async function runTranslateTask(resource, { locales, primaryLocale }) {
+  if (locales.length === 0) {
+    return { status: "skipped", reason: "No published locales" };
+  }
+
+  const result = await translateResource({
+    type: resource.type,
+    resourceId: toResourceId(resource.type, resource.id),
+    locales,
+    primaryLocale,
+    mode: reviewMode() ? "review" : "apply",
+  });
+
+  const byLocale = {};
+  let failed = false;
+  for (const [locale, report] of Object.entries(result.keys)) {
+    byLocale[locale] = {
+      registered: report.registered.length,
+      ...(report.queued ? { queued: report.queued.length } : {}),
+      skipped: report.skipped.length,
+      failed: report.failed.length + report.rejected.length,
+      glossaryViolations: result.glossaryViolations[locale]?.length || 0,
+    };
+    if (byLocale[locale].failed > 0) failed = true;
+  }
+
+  if (failed) {
+    throw new HttpError(502, "Some translations were rejected", { byLocale });
+  }
+  return { status: "done", locales: byLocale };
+}
+
+// WEBHOOK_LOCALES (comma-separated) or every published locale
+async function resolveQueueLocales() {
+  const shopLocales = await getShopLocales();
+  const raw = process.env.WEBHOOK_LOCALES;
+  if (!raw) return shopLocales;
+
+  const locales = parseLocales(raw.split(","));
+  checkTargetLocales(locales, shopLocales);
+  return { ...shopLocales, publishedLocales: locales };
+}
+
+export async function listWebhookQueue() {
+  const names = await listJson("webhook-queue");
+  const items = await Promise.all(names.map((name) => readJson(name)));
+  return items
+    .filter(Boolean)
+    .sort((a, b) => a.queuedAt.localeCompare(b.queuedAt));
+}
+
+export function summarizeQueue(items) {
+  const counts = { pending: 0, done: 0, failed: 0, skipped: 0 };
+  for (const item of items) counts[item.status] += 1;
+  return counts;
+}
+
+const isRateLimit = (err) => err instanceof HttpError && err.status === 429;
+
+// Works pending items, oldest first, until `deadline` (ms timestamp) passes
+// or `limit` items are done. A failed item is retried on later runs up to
+// MAX_ATTEMPTS times; a 429 stops the run and leaves the item pending.
+function queueAlreadyRunning(lockedUntil) {
+  return new HttpError(409, "The webhook queue is already being processed", {
+    lockedUntil,
+  });
+}
+
+function duePendingItems(items, now = Date.now()) {
+  return items.filter(
+    (item) =>
+      item.status === "pending" &&
+      (!item.notBefore || Date.parse(item.notBefore) <= now)
+  );
+}
+
+// Writes our own token into the lock, waits for a run that read the lock at
+// the same moment to write its claim, and checks ours is still the one there
+async function takeQueueLock(deadline) {
+  const token = crypto.randomBytes(8).toString("hex");
+  await writeJson("webhook-queue-lock", {
+    lockedUntil: new Date(deadline).toISOString(),
+    lockToken: token,
+  });
+
+  await sleep(LOCK_SETTLE_MS);
+  const stored = await readJson("webhook-queue-lock");
+  if (stored?.lockToken !== token) throw queueAlreadyRunning(stored?.lockedUntil);
+}
+
+export async function processWebhookQueue({ deadline, limit }) {
+  const lock = await readJson("webhook-queue-lock");
+  if (lock && Date.parse(lock.lockedUntil) > Date.now()) {
+    throw queueAlreadyRunning(lock.lockedUntil);
+  }
+
+  const processed = [];
+  let stoppedBy = "complete";
+  if (duePendingItems(await listWebhookQueue()).length === 0) {
+    return { processed, stoppedBy };
+  }
+
+  await takeQueueLock(deadline);
+
+  try {
+    // Read again under the lock; a run that just finished may have done some
+    const pending = duePendingItems(await listWebhookQueue());
+    const locales = pending.some((item) => item.tasks.includes("translate"))
+      ? await resolveQueueLocales()
+      : null;
+
+    for (const item of pending) {
+      if (processed.length >= limit) {
+        stoppedBy = "limit";
+        break;
+      }
+      if (Date.now() >= deadline) {
+        stoppedBy = "time-budget";
+        break;
+      }
+
+      const stop = await processItem(item, locales);
+      processed.push({
+        key: item.key,
+        status: item.status,
+        results: item.results,
+        error: item.error,
+      });
+      if (stop) {
+        stoppedBy = "rate-limit";
+        break;
+      }
+    }
+  } finally {
+    await writeJson("webhook-queue-lock", { lockedUntil: null, lockToken: null });
+  }
+
+  return { processed, stoppedBy };
+}
+
+// Runs the item's tasks (SEO first so translations include the new meta
+// fields) and saves it. Returns true when the run should stop.
+async function processItem(item, locales) {
+  const context = getAuditContext() || {};
+  const reason = `Shopify webhook ${item.topics.join(", ")}`;
+  item.attempts += 1;
+  item.results = {};
+
+  try {
+    await runWithAuditContext({ ...context, reason }, async () => {
+      if (item.tasks.includes("seo")) {
+        item.results.seo = await runSeoTask(item.resource);
+      }
+      if (item.tasks.includes("translate")) {
+        item.results.translate = await runTranslateTask(item.resource, {
+          locales: locales.publishedLocales,
+          primaryLocale: locales.primaryLocale,
+        });
+      }
+    });
+    item.status = "done";
+    item.error = null;
+  } catch (err) {
+    if (isRateLimit(err)) {
+      item.attempts -= 1;
+      item.notBefore = new Date(
+        Date.now() + (err.extra.retryAfterMs || 5000)
+      ).toISOString();
+      item.error = err.message;
+      await saveItem(item);
+      return true;
+    }
+
+    if (err instanceof HttpError && err.status === 404) {
+      item.status = "skipped";
+    } else {
+      item.status = item.attempts >= MAX_ATTEMPTS ? "failed" : "pending";
+      if (!(err instanceof HttpError)) {
+        console.error(`Webhook queue item ${item.key} failed:`, err);
+      }
+    }
+    item.error = err.message || String(err);
+    if (err instanceof HttpError && err.extra.byLocale) {
+      item.results.translate = { status: "failed", locales: err.extra.byLocale };
+    }
+  }
+
+  item.notBefore = null;
+  await saveItem(item);
+  return false;
+}
+
+async function saveItem(item) {
+  item.updatedAt = new Date().toISOString();
+  await writeJson(`webhook-queue/${item.key}`, item);
+}